@@ -0,0 +1,106 @@
+/**
+ * BJTU site config for the shared faceted-filter crawler
+ * (see ../common/facet_crawler.js)
+ */
+
+// Fields of every record, in output order; 校区 is 校本部 unless a campus is selected
+const RECORD_DEFAULTS = {
+  '学校': '',
+  '校区': '校本部',
+  '年份': '',
+  '计划类型': '',
+  '省市': '',
+  '科类': '',
+  '专业': '',
+  '最低分': '',
+  '最高分': '',
+  '最低分排名': '',
+  '专业组/科目类/单设志愿': ''
+};
+
+// Table columns that repeat the selected facets; the records take those from the selection
+const FACET_HEADERS = ['年份', '省市', '省份', '科类'];
+
+module.exports = {
+  school: '北京交通大学',
+  targetUrl: 'https://zsw.bjtu.edu.cn/zsw/lnfs.html',
+  outputFile: 'bjtu_admission_scores.json',
+  // Walk order: year -> province -> campus -> plan type -> category -> specialty group
+  facetOrder: ['zsnf', 'ssmc', 'xq', 'zslx', 'klmc', 'zyzm'],
+  // Save intermediate results after each province
+  partitionFacet: 'ssmc',
+  // Upper bound for the page to settle after each filter click
+  waitTimeout: 10000,
+  // Minimum gap between two clicks on the site, shared by all workers (--concurrency)
+  requestInterval: 500,
+  // JSON keys the table API may use for each record field (capture mode, --capture)
+  responseFields: {
+    '专业': ['zymc', 'zy', '专业'],
+    '最低分': ['zdf', 'minScore', '最低分'],
+    '平均分': ['pjf', 'avgScore', '平均分'],
+    '最高分': ['zgf', 'maxScore', '最高分'],
+    '最低分排名': ['zdfpm', 'zdfwc', 'minRank', '最低分排名'],
+    '专业组/科目类/单设志愿': ['zyzm', '专业组/科目类/单设志愿']
+  },
+  // Score tables on the lnfs page, mapped by ../common/table_mapping.js:
+  // record field -> header texts the site uses for it
+  tables: {
+    // 录取概况 (general admission)
+    general: {
+      selector: 'table.table_con',
+      label: 'General table',
+      columns: {
+        '最低分': ['最低分'],
+        '平均分': ['平均分'],
+        '最高分': ['最高分']
+      },
+      ignore: FACET_HEADERS,
+      defaults: RECORD_DEFAULTS,
+      minCells: 3
+    },
+    // 分专业录取情况 (admission by major)
+    major: {
+      selector: 'table.sort-table',
+      label: 'Major table',
+      columns: {
+        '专业': ['专业'],
+        '最低分': ['最低分'],
+        '最高分': ['最高分'],
+        '最低分排名': ['最低分排名'],
+        '专业组/科目类/单设志愿': ['专业组/科目类/单设志愿', '专业组/选考科目']
+      },
+      ignore: FACET_HEADERS,
+      defaults: RECORD_DEFAULTS,
+      minCells: 4
+    }
+  },
+  // HTTP-only mode (--http): the lnfs page loads its tables by XHR, so the
+  // mode sends that query itself, the selected facets as form fields named
+  // like the filter bar's data-param attributes. A browser run recorded with
+  // --record replaces these endpoints (see ../common/http_crawler.js).
+  http: {
+    endpoints: [
+      {
+        url: 'https://zsw.bjtu.edu.cn/zsw/lnfs/query',
+        method: 'post',
+        format: 'form',
+        params: {},
+        fields: { zsnf: 'zsnf', ssmc: 'ssmc', xq: 'xq', zslx: 'zslx', klmc: 'klmc', zyzm: 'zyzm' }
+      }
+    ],
+    delay: 500
+  },
+  // Selector drift canary (gaokao check bjtu, see ../common/canary.js): the
+  // first year and province are selected, then the tables must show the
+  // headers buildRecords maps
+  canary: {
+    selectors: ['.filter dd[data-param] a'],
+    links: ['.filter dd[data-param="zsnf"] a', '.filter dd[data-param="ssmc"] a'],
+    tables: {
+      'table.table_con': { headers: ['最低分', '平均分', '最高分'] },
+      'table.sort-table': { headers: ['专业', '最低分', '最高分', '最低分排名'] }
+    }
+  },
+  launchArgs: ['--no-sandbox', '--disable-setuid-sandbox'],
+  viewport: { width: 1280, height: 800 }
+};
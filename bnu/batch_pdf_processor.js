@@ -22,11 +22,17 @@ const { spawnSync, execSync } = require('child_process');
 const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
 const sharp = require('sharp');
+const { createReporter } = require('../common/run_events');
+const { openRejects } = require('../common/rejects');
+const { failuresToRetry, openFailureLedger, retryScope } = require('../common/failures');
+const { findProvince, provinceSpellings, classifySource } = require('../common/provinces');
 
 // Configuration
 const PDF_DIR = path.join(__dirname, 'pdfs');
 const OUTPUT_DIR = path.join(__dirname, 'output');
 const IMAGE_OUTPUT_DIR = path.join(__dirname, 'temp_images');
+// The failure ledger is kept as <this>.failures.json; the parsed files are one per PDF
+const LEDGER_NAME = 'bnu_admission_scores.jsonl';
 const MODEL_ID = 'anthropic.claude-3-5-sonnet-20240620-v1:0';
 const MAX_TOKEN_LIMIT = 200000; // Claude 3.5 token limit
 const MAX_IMAGE_SIZE = 5000; // Max pixels in either dimension for Claude
@@ -79,10 +85,26 @@ Examples:
   `);
 }
 
+/**
+ * Describe one PDF file; its name tells the province, or the category
+ * (体育教育, 美术学 ...) for files that are not about a province
+ * @param {string} filePath - PDF path
+ * @param {string} year - Year directory
+ * @returns {Object} - `{ path, year, name, province, category }`
+ */
+function pdfFileInfo(filePath, year) {
+  const name = path.parse(filePath).name;
+  const { province, category } = classifySource(name);
+  if (!province) {
+    console.log(`Not a province: ${year}/${name}.pdf, its records get 招生类别 "${category}"`);
+  }
+  return { path: filePath, year, name, province, category };
+}
+
 /**
  * Scans the PDF directory for PDF files
  * @param {string} baseDir - Base directory to scan
- * @returns {Promise<Array>} - Array of file info objects with path, year, and province
+ * @returns {Promise<Array>} - Array of file info objects with path, year, name, province and category
  */
 async function scanPdfDirectory(baseDir) {
   console.log(`Scanning directory: ${baseDir}`);
@@ -112,19 +134,11 @@ async function scanPdfDirectory(baseDir) {
           .filter(file => file.toLowerCase().endsWith('.pdf'));
         
         for (const pdfFile of pdfFiles) {
-          files.push({
-            path: path.join(provincePath, pdfFile),
-            year,
-            province: path.parse(pdfFile).name // Use filename as province
-          });
+          files.push(pdfFileInfo(path.join(provincePath, pdfFile), year));
         }
       } else if (provincePath.toLowerCase().endsWith('.pdf')) {
         // If it's a PDF file directly in the year directory
-        files.push({
-          path: provincePath,
-          year,
-          province: path.parse(province).name // Remove .pdf extension
-        });
+        files.push(pdfFileInfo(provincePath, year));
       }
     }
   }
@@ -136,20 +150,22 @@ async function scanPdfDirectory(baseDir) {
 /**
  * Filters files based on command line arguments
  * @param {Array} files - Array of file info objects
- * @param {Object} args - Command line arguments
+ * @param {Object} args - `years` and `provinces` lists (null keeps everything)
  * @returns {Array} - Filtered array of file info objects
  */
 function filterFilesByArgs(files, args) {
   let filtered = files;
   
-  if (args.year) {
-    filtered = filtered.filter(file => file.year === args.year);
-    console.log(`Filtered to ${filtered.length} files from year ${args.year}`);
+  if (args.years) {
+    filtered = filtered.filter(file => args.years.includes(file.year));
+    console.log(`Filtered to ${filtered.length} files from year ${args.years.join(', ')}`);
   }
   
-  if (args.province) {
-    filtered = filtered.filter(file => file.province === args.province);
-    console.log(`Filtered to ${filtered.length} files from province ${args.province}`);
+  if (args.provinces) {
+    // Any spelling of a province, or a category name
+    const requested = provinceSpellings(args.provinces);
+    filtered = filtered.filter(file => requested.includes(file.province) || requested.includes(file.category));
+    console.log(`Filtered to ${filtered.length} files from province ${args.provinces.join(', ')}`);
   }
   
   return filtered;
@@ -289,17 +305,18 @@ async function imageToBase64(imagePath) {
 /**
  * Process images with AWS Bedrock Claude 3.5 Sonnet
  * @param {string[]} imagePaths - Paths to images
- * @param {string} province - Province name
+ * @param {string} province - Province name, empty for a category file
  * @param {string} year - Year
+ * @param {string} [category] - Category of a file that is not about a province (体育教育, 美术学 ...)
  * @returns {Promise<string>} - Claude's response
  */
-async function processImagesWithBedrock(imagePaths, province, year) {
+async function processImagesWithBedrock(imagePaths, province, year, category = '') {
   console.log(`Processing ${imagePaths.length} images with AWS Bedrock...`);
   
   // Prepare Claude's prompt
   const userPrompt = `你是一位专业的数据提取专家，擅长从表格图片中提取结构化数据并按照指定格式输出。你的分析非常精确，不会遗漏任何表格行，也不会添加任何主观解释。
 
-我需要你分析这些图片中的北京师范大学${year}年${province}省招生计划和录取数据表格。
+我需要你分析这些图片中的北京师范大学${year}年${province ? `${province}省` : category}招生计划和录取数据表格。
 
 首先，请仔细观察图片中的表格结构，注意表头、列名，以及可能出现在表格上方或注释中的重要信息，如"普通类调档线"。
 
@@ -309,7 +326,7 @@ async function processImagesWithBedrock(imagePaths, province, year) {
   "校区": "北京校区", // 如果有明确标注珠海校区，则填写"珠海校区"
   "年份": "${year}",
   "计划类型": "普通类",
-  "省市": "${province}",
+  ${province ? `"省市": "${province}",` : '"省市": "", // 表格中该行的生源省份，没有则留空'}
   "科类": "", // 填写"文史"、"理工"或"不限"，根据表格部分标题或表头确定
   "院（系）": "", // 院系名称，注意部分表格可能将院系单独列出
   "专业": "", // 专业名称，请完整提取
@@ -496,9 +513,10 @@ function preprocessJsonString(str) {
 /**
  * Parse Claude's response to extract JSON records
  * @param {string} claudeResponse - Claude's text response
+ * @param {Function} [reject] - `({ reason, headers, cells })` receives the JSON objects that cannot be parsed (see ../common/rejects.js)
  * @returns {Array} - Extracted records
  */
-function parseClaudeResponse(claudeResponse) {
+function parseClaudeResponse(claudeResponse, reject = () => {}) {
   console.log('Parsing Claude response to extract JSON records...');
   
   // Extract JSON lines from Claude's response
@@ -564,10 +582,12 @@ function parseClaudeResponse(claudeResponse) {
           console.log(`Successfully manually parsed record: ${JSON.stringify(fieldsData)}`);
         } else {
           console.error(`Cannot parse JSON: ${jsonStr}`);
+          reject({ reason: 'Unparseable JSON object', headers: [], cells: [jsonStr] });
         }
       }
     } catch (error) {
       console.error(`JSON processing failed: ${error.message}`);
+      reject({ reason: `JSON processing failed: ${error.message}`, headers: [], cells: [jsonStr] });
     }
   }
   
@@ -606,18 +626,33 @@ async function writeJsonlFile(records, outputPath) {
   }
 }
 
+// Unit of a PDF file in the run events and the rejected-rows sidecar
+const fileUnit = (file) => ({ '年份': file.year, '省市': file.province, '招生类别': file.category });
+
+// Name of a file's outputs: the province, or the file name for a category
+const sourceName = (file) => file.province || file.name;
+
+// Put the file's province (canonical name), or its category, on a parsed record;
+// rows of a category file keep the province they name, if it is one
+function withSource(record, file) {
+  if (file.province) return { ...record, '省市': file.province };
+  const rowProvince = findProvince(record['省市']);
+  return { ...record, '省市': rowProvince ? rowProvince.name : '', '招生类别': file.category };
+}
+
 /**
  * Process a single PDF file
  * @param {Object} fileInfo - File information object
- * @returns {Promise<boolean>} - True if successful, false otherwise
+ * @param {string} [outputDir] - Output directory (default: bnu/output)
+ * @returns {Promise<Array|false>} - The file's records if successful, false otherwise
  */
-async function processOneFile(fileInfo) {
+async function processOneFile(fileInfo, outputDir = OUTPUT_DIR) {
   console.log(`\n=== Processing file: ${fileInfo.path} ===`);
-  console.log(`Province: ${fileInfo.province}, Year: ${fileInfo.year}`);
+  console.log(`Province: ${fileInfo.province || '-'}, Category: ${fileInfo.category || '-'}, Year: ${fileInfo.year}`);
   
   try {
     // Create unique output directory for this file's images
-    const fileImageDir = path.join(IMAGE_OUTPUT_DIR, fileInfo.province, fileInfo.year);
+    const fileImageDir = path.join(IMAGE_OUTPUT_DIR, sourceName(fileInfo), fileInfo.year);
     
     // Step 1: Convert PDF to images
     const imagePaths = await convertPdfToImages(fileInfo.path, fileImageDir);
@@ -626,24 +661,31 @@ async function processOneFile(fileInfo) {
     const resizedImagePaths = await resizeImagesForClaude(imagePaths);
     
     // Step 3: Process images with Claude via AWS Bedrock
-    const claudeResponse = await processImagesWithBedrock(resizedImagePaths, fileInfo.province, fileInfo.year);
+    const claudeResponse = await processImagesWithBedrock(resizedImagePaths, fileInfo.province, fileInfo.year, fileInfo.category);
     
     // Save Claude's response for reference
-    const outputFilename = `bnu_admission_scores.${fileInfo.province}.${fileInfo.year}.jsonl`;
-    const outputPath = path.join(OUTPUT_DIR, outputFilename);
-    const responseOutputPath = path.join(OUTPUT_DIR, `claude_response.${fileInfo.province}.${fileInfo.year}.txt`);
+    const outputFilename = `bnu_admission_scores.${sourceName(fileInfo)}.${fileInfo.year}.jsonl`;
+    const outputPath = path.join(outputDir, outputFilename);
+    const responseOutputPath = path.join(outputDir, `claude_response.${sourceName(fileInfo)}.${fileInfo.year}.txt`);
     
     await fs.writeFile(responseOutputPath, claudeResponse, 'utf8');
     console.log(`Claude response saved to ${responseOutputPath}`);
     
-    // Step 4: Parse Claude's response
-    const records = parseClaudeResponse(claudeResponse);
+    // Step 4: Parse Claude's response; what cannot be parsed goes to <output>.rejected
+    const rejects = openRejects(outputFilename, { dir: outputDir });
+    let records;
+    try {
+      records = parseClaudeResponse(claudeResponse, rejects.rejecter({ ...fileUnit(fileInfo), '文件': fileInfo.path }))
+        .map(record => withSource(record, fileInfo));
+    } finally {
+      rejects.close();
+    }
     
     // Step 5: Write to JSONL file
     await writeJsonlFile(records, outputPath);
     
     console.log(`=== Successfully processed ${fileInfo.path} ===\n`);
-    return true;
+    return records;
   } catch (error) {
     console.error(`Error processing file ${fileInfo.path}:`, error);
     return false;
@@ -653,8 +695,10 @@ async function processOneFile(fileInfo) {
 /**
  * Process files sequentially
  * @param {Array} files - Array of file info objects
+ * @param {string} [outputDir] - Output directory
+ * @param {Object} [reporter] - Run events reporter (see ../common/run_events.js)
  */
-async function processFilesSequentially(files) {
+async function processFilesSequentially(files, outputDir, reporter = createReporter()) {
   console.log(`Processing ${files.length} files sequentially`);
   
   let successful = 0;
@@ -662,12 +706,14 @@ async function processFilesSequentially(files) {
   
   for (let i = 0; i < files.length; i++) {
     console.log(`Processing file ${i + 1}/${files.length}`);
-    const result = await processOneFile(files[i]);
+    const result = await processOneFile(files[i], outputDir);
     
     if (result) {
       successful++;
+      await reporter.unitDone(fileUnit(files[i]), result, files.length);
     } else {
       failed++;
+      reporter.error(new Error(`Failed to process ${files[i].path}`), fileUnit(files[i]));
     }
   }
   
@@ -678,8 +724,10 @@ async function processFilesSequentially(files) {
  * Process files concurrently
  * @param {Array} files - Array of file info objects
  * @param {number} concurrency - Number of files to process concurrently
+ * @param {string} [outputDir] - Output directory
+ * @param {Object} [reporter] - Run events reporter (see ../common/run_events.js)
  */
-async function processFilesConcurrently(files, concurrency) {
+async function processFilesConcurrently(files, concurrency, outputDir, reporter = createReporter()) {
   console.log(`Processing ${files.length} files with concurrency ${concurrency}`);
   
   let successful = 0;
@@ -692,18 +740,20 @@ async function processFilesConcurrently(files, concurrency) {
     console.log(`Processing batch of ${batch.length} files (${i + 1}-${Math.min(i + concurrency, files.length)} of ${files.length})`);
     
     const results = await Promise.all(
-      batch.map(file => processOneFile(file).catch(error => {
+      batch.map(file => processOneFile(file, outputDir).catch(error => {
         console.error(`Unhandled error processing ${file.path}:`, error);
         return false;
       }))
     );
     
     // Count successful and failed operations
-    for (const result of results) {
-      if (result) {
+    for (let j = 0; j < results.length; j++) {
+      if (results[j]) {
         successful++;
+        await reporter.unitDone(fileUnit(batch[j]), results[j], files.length);
       } else {
         failed++;
+        reporter.error(new Error(`Failed to process ${batch[j].path}`), fileUnit(batch[j]));
       }
       completed++;
     }
@@ -715,34 +765,58 @@ async function processFilesConcurrently(files, concurrency) {
 }
 
 /**
- * Main function
+ * Parse BNU's PDFs with the shared run options (see ../common/cli_args.js)
+ * @param {Object} [options]
+ * @param {string[]} [options.years] - Only these years
+ * @param {string[]} [options.provinces] - Only these provinces (PDF file names)
+ * @param {string} [options.pdfDir] - PDF directory (default: bnu/pdfs)
+ * @param {string} [options.outDir] - Output directory (default: bnu/output)
+ * @param {number} [options.concurrency] - Files processed at the same time (default: 1)
+ * @param {boolean} [options.retryFailed] - Only the files that failed in the last run, see ../common/failures.js
+ * @param {Object} [options.events] - EventEmitter for records, progress and errors, see ../common/run_events.js
+ * @param {Function} [options.sink] - `(record, context)` awaited for every record
+ * @returns {Promise<Object>} - `{ total, successful, failed }`
  */
-async function main() {
+async function parse(options = {}) {
+  const { pdfDir = PDF_DIR, outDir = OUTPUT_DIR, concurrency = 1 } = options;
+  
+  // Read the last run's failures before this run's ledger replaces them
+  const retry = failuresToRetry(LEDGER_NAME, { ...options, outDir });
+  if (retry && retry.length === 0) {
+    console.log('No failed files to retry');
+    return { total: 0, successful: 0, failed: 0 };
+  }
+  
+  checkEnvironment();
+  
+  // Scan PDF directory
+  const files = await scanPdfDirectory(pdfDir);
+  
+  // Filter files based on arguments, and to the failed ones when retrying
+  let filteredFiles = filterFilesByArgs(files, { years: options.years || null, provinces: options.provinces || null });
+  if (retry) {
+    const scope = retryScope(retry);
+    filteredFiles = filteredFiles.filter(file => scope(fileUnit(file)));
+  }
+  
+  if (filteredFiles.length === 0) {
+    console.log('No matching PDF files found to process');
+    return { total: 0, successful: 0, failed: 0 };
+  }
+  
+  const ledger = openFailureLedger(LEDGER_NAME, { school: '北京师范大学', dir: outDir });
+  const reporter = createReporter('北京师范大学', options, ledger);
+  
   try {
-    console.log('BNU Admission Data Batch Processor');
-    
-    // Parse command line arguments
-    const args = parseArgs();
-    
-    // Scan PDF directory
-    const files = await scanPdfDirectory(PDF_DIR);
-    
-    // Filter files based on arguments
-    const filteredFiles = filterFilesByArgs(files, args);
-    
-    if (filteredFiles.length === 0) {
-      console.log('No matching PDF files found to process');
-      process.exit(0);
-    }
-    
     console.log(`Preparing to process ${filteredFiles.length} PDF files`);
+    await fs.ensureDir(outDir);
     
     // Process the files
     let results;
-    if (args.concurrent > 1) {
-      results = await processFilesConcurrently(filteredFiles, args.concurrent);
+    if (concurrency > 1) {
+      results = await processFilesConcurrently(filteredFiles, concurrency, outDir, reporter);
     } else {
-      results = await processFilesSequentially(filteredFiles);
+      results = await processFilesSequentially(filteredFiles, outDir, reporter);
     }
     
     console.log('\n=== Batch Processing Complete ===');
@@ -750,53 +824,81 @@ async function main() {
     console.log(`Successfully processed: ${results.successful}`);
     console.log(`Failed: ${results.failed}`);
     
+    return { total: filteredFiles.length, ...results };
+  } finally {
+    // Point to the failed files also when the run stops on an error
+    ledger.close();
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    console.log('BNU Admission Data Batch Processor');
+    
+    // Parse command line arguments
+    const args = parseArgs();
+    
+    await parse({
+      years: args.year ? [args.year] : null,
+      provinces: args.province ? [args.province] : null,
+      concurrency: args.concurrent
+    });
+    
   } catch (error) {
     console.error('Error in main process:', error);
     process.exit(1);
   }
 }
 
-// Check if ImageMagick is installed
-try {
-  execSync('which convert', { stdio: 'ignore' });
-} catch (e) {
-  console.log(`
-WARNING: ImageMagick's 'convert' command not found.
-To convert PDFs to images, please install ImageMagick:
+/**
+ * Warn about missing tools and credentials before processing
+ */
+function checkEnvironment() {
+  // Check if ImageMagick is installed
+  try {
+    execSync('which convert', { stdio: 'ignore' });
+  } catch (e) {
+    console.log(`
+  WARNING: ImageMagick's 'convert' command not found.
+  To convert PDFs to images, please install ImageMagick:
 
-On macOS:
-brew install imagemagick ghostscript
+  On macOS:
+  brew install imagemagick ghostscript
 
-On Ubuntu/Debian:
-sudo apt-get install imagemagick ghostscript
+  On Ubuntu/Debian:
+  sudo apt-get install imagemagick ghostscript
 
-On Windows:
-Install from: https://imagemagick.org/script/download.php
-`);
-}
+  On Windows:
+  Install from: https://imagemagick.org/script/download.php
+  `);
+  }
 
-// If no AWS credentials found, provide helpful message
-try {
-  if (!process.env.AWS_ACCESS_KEY_ID && !process.env.AWS_PROFILE) {
-    console.log(`
-IMPORTANT: AWS credentials not found in environment variables.
-Before running this script, set up AWS credentials using one of these methods:
-1. Environment variables: 
-   export AWS_ACCESS_KEY_ID=your_access_key
-   export AWS_SECRET_ACCESS_KEY=your_secret_key
-   export AWS_REGION=your_region  # e.g., us-west-2
-
-2. AWS credentials file (~/.aws/credentials)
-   [default]
-   aws_access_key_id=your_access_key
-   aws_secret_access_key=your_secret_key
+  // If no AWS credentials found, provide helpful message
+  try {
+    if (!process.env.AWS_ACCESS_KEY_ID && !process.env.AWS_PROFILE) {
+      console.log(`
+  IMPORTANT: AWS credentials not found in environment variables.
+  Before running this script, set up AWS credentials using one of these methods:
+  1. Environment variables: 
+     export AWS_ACCESS_KEY_ID=your_access_key
+     export AWS_SECRET_ACCESS_KEY=your_secret_key
+     export AWS_REGION=your_region  # e.g., us-west-2
+
+  2. AWS credentials file (~/.aws/credentials)
+     [default]
+     aws_access_key_id=your_access_key
+     aws_secret_access_key=your_secret_key
    
-3. AWS profile:
-   export AWS_PROFILE=your_profile_name
-`);
+  3. AWS profile:
+     export AWS_PROFILE=your_profile_name
+  `);
+    }
+  } catch (e) {
+    // Ignore credential check errors
   }
-} catch (e) {
-  // Ignore credential check errors
 }
 
 // Run the main function
@@ -805,6 +907,7 @@ if (require.main === module) {
 }
 
 module.exports = {
+  parse,
   scanPdfDirectory,
   processOneFile,
   writeJsonlFile,
@@ -1,59 +1,175 @@
 const puppeteer = require('puppeteer');
-const fs = require('fs');
+const { openCheckpoint } = require('../common/checkpoint');
+const { clickAndWait } = require('../common/wait');
+const { checkSelection, selectVerified } = require('../common/selection_check');
+const { saveToFile, dedupeRecords, DEFAULT_OUTPUT_DIR } = require('../common/output');
+const { openTrafficArchive } = require('../common/traffic_archive');
+const { DEFAULT_CONCURRENCY, createRateLimiter, runPool } = require('../common/pool');
+const { parseRunArgs } = require('../common/cli_args');
+const { createReporter } = require('../common/run_events');
+const { openRejects } = require('../common/rejects');
+const { failuresToRetry, openFailureLedger, retryScope } = require('../common/failures');
+const { openDebugBundles } = require('../common/debug_bundle');
+const { runCanary } = require('../common/canary');
+const { readTablesFromPage } = require('../common/table');
+const { createTableMapper } = require('../common/table_mapping');
+const { provinceSpellings, createProvinceCheck } = require('../common/provinces');
+const siteConfig = require('./site_config');
 
-// URL of the target website
-const TARGET_URL = 'https://lqcx.buaa.edu.cn/static/front/buaa/basic/html_web/lnfs.html';
-const OUTPUT_FILE = 'buaa_admission_scores.json';
+const TARGET_URL = siteConfig.targetUrl;
+const OUTPUT_FILE = siteConfig.outputFile;
+const SCORES_TABLE = siteConfig.tables.scores.selector;
 
-// Test data - limit to a few provinces for testing
-const TEST_PROVINCES = ['北京', '上海', '陕西'];
+// Header mapping of the scores table, see site_config.js
+const mapTable = createTableMapper(siteConfig.tables);
 
-// Sleep function to avoid overwhelming the server
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-async function scrapeAdmissionScores() {
+// Wait until the scores table has reloaded and the clicked link is active
+const settledAfterClick = (selector, text) => ({
+  timeout: siteConfig.waitTimeout,
+  loadingSelector: `${SCORES_TABLE} tbody tr.loading`,
+  active: { selector, text }
+});
+
+// Text of the scores table's data rows, to tell whether a click loaded another table
+async function tableSignature(page) {
+  return page.evaluate((selector) => {
+    return Array.from(document.querySelectorAll(`${selector} tbody tr`))
+      .filter(row => !row.classList.contains('loading') && !row.classList.contains('no_data'))
+      .map(row => row.textContent.trim())
+      .join('\n');
+  }, SCORES_TABLE);
+}
+
+// Whether the link with this text is already the selected one
+async function isLinkActive(page, selector, text) {
+  return page.evaluate((selector, text) => {
+    const link = Array.from(document.querySelectorAll(selector)).find(a => a.textContent.trim() === text);
+    return !!link && (link.classList.contains('active') ||
+      (link.parentElement && link.parentElement.classList.contains('active')));
+  }, selector, text);
+}
+
+/**
+ * Click a link of one of the filter areas, redoing the click while the link
+ * is not active or the table shows another province or year
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @param {string} selector - Links of the area, e.g. `.year-area a`
+ * @param {string} text - Link to click
+ * @param {Object} expect - Table columns the selection fixes, e.g. `{ '省市': '北京', '年份': '2024' }`
+ * @param {Object} limiter - Shared rate limiter
+ */
+async function selectLink(page, selector, text, expect, limiter) {
+  await selectVerified(async () => {
+    await limiter.wait(TARGET_URL);
+    await clickAndWait(page, () => page.evaluate((selector, text) => {
+      const link = Array.from(document.querySelectorAll(selector)).find(a => a.textContent.trim() === text);
+      if (link) link.click();
+      else throw new Error(`Link for "${text}" not found in ${selector}`);
+    }, selector, text), settledAfterClick(selector, text));
+  }, () => checkSelection(page, { active: { selector, text }, table: SCORES_TABLE, expect }), { label: text });
+}
+
+/**
+ * Make sure a click replaced the table; an unchanged table would be
+ * extracted again under the new option's name
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @param {string} before - tableSignature before the click
+ * @param {string} label - What was clicked, for the error message
+ */
+async function waitForTableChange(page, before, label) {
+  // An empty table yields no records, so it cannot produce duplicates
+  if (before === '') return;
+
+  const start = Date.now();
+  while (Date.now() - start < siteConfig.waitTimeout) {
+    if (await tableSignature(page) !== before) return;
+    await sleep(200);
+  }
+  throw new Error(`Table did not change after selecting ${label}`);
+}
+
+// Open a page on the scores page, ready to click through provinces
+async function openScoresPage(browser, archive, debug) {
+  const page = await browser.newPage();
+  if (debug) debug.watch(page);
+  
+  // Add event listeners for debugging
+  page.on('console', msg => {
+    if (msg.type() === 'error' || msg.type() === 'warning') {
+      console.log(`PAGE ${msg.type().toUpperCase()}:`, msg.text());
+    }
+  });
+  page.on('pageerror', error => console.log('PAGE ERROR:', error.message));
+  
+  // --record saves the site traffic, --replay serves it instead of the network
+  const traffic = archive ? await archive.attach(page) : null;
+  
+  // Navigate to the target URL
+  console.log(`Navigating to ${TARGET_URL}`);
+  await page.goto(TARGET_URL, { 
+    waitUntil: 'networkidle2',
+    timeout: 60000
+  });
+  
+  console.log('Page loaded successfully');
+  
+  // Wait for the province section to load (visible in screenshot)
+  await page.waitForSelector('.province-area a', { timeout: 30000 });
+  
+  return { page, traffic };
+}
+
+/**
+ * Scrape BUAA with the shared run options (see ../common/cli_args.js)
+ * @param {Object} [options] - `years`, `provinces`, `outDir`, `resume`, `retryFailed`, `traffic`, `concurrency`, `headless`,
+ *   and `events`/`sink` for library callers (see ../common/run_events.js)
+ * @returns {Promise<Array>} - All extracted records
+ */
+async function scrapeAdmissionScores(options = {}) {
+  const { concurrency = DEFAULT_CONCURRENCY, outDir = DEFAULT_OUTPUT_DIR, headless = true, years = null } = options;
   console.log('Starting production scraper for BUAA...');
   
+  // Read the last run's failures before this run's ledger replaces them
+  const retry = failuresToRetry(OUTPUT_FILE, options);
+  if (retry && retry.length === 0) {
+    console.log('No failed units to retry');
+    return [];
+  }
+  const scope = retry ? retryScope(retry) : null;
+  
   // Launch the browser
   console.log('Launching browser...');
   const browser = await puppeteer.launch({
-    headless: true,  // Use headless mode for production
-    args: ['--no-sandbox']
+    headless,  // Headless unless debugging with --headful
+    args: siteConfig.launchArgs
   });
   console.log('Browser launched successfully');
   
+  const archive = openTrafficArchive(OUTPUT_FILE, options.traffic, outDir);
+  // All workers share one rate limit on the site
+  const limiter = createRateLimiter();
+  const ledger = openFailureLedger(OUTPUT_FILE, { school: siteConfig.school, dir: outDir });
+  const reporter = createReporter(siteConfig.school, options, ledger);
+  // Rows that cannot be extracted go to <output>.rejected instead of the dataset
+  const rejects = openRejects(OUTPUT_FILE, { resume: options.resume, dir: outDir });
+  // --debug saves the page of failed or empty extractions
+  const debug = openDebugBundles(options, outDir);
   try {
-    // Open a new page
-    const page = await browser.newPage();
+    // Completed combinations are checkpointed so a --resume run can skip them
+    const checkpoint = openCheckpoint(OUTPUT_FILE, { resume: options.resume, dir: outDir });
     
-    // Add event listeners for debugging
-    page.on('console', msg => {
-      if (msg.type() === 'error' || msg.type() === 'warning') {
-        console.log(`PAGE ${msg.type().toUpperCase()}:`, msg.text());
-      }
-    });
-    page.on('pageerror', error => console.log('PAGE ERROR:', error.message));
-    
-    // Navigate to the target URL
-    console.log(`Navigating to ${TARGET_URL}`);
-    await page.goto(TARGET_URL, { 
-      waitUntil: 'networkidle2',
-      timeout: 60000
-    });
-    
-    console.log('Page loaded successfully');
-    
-    // Store all results
-    const allResults = [];
-    
-    // Wait for the page to fully load with its filters
-    await sleep(2000);
+    // One page per worker, opened when the worker takes its first province
+    const pages = [];
+    const pageFor = async (workerId) => {
+      if (!pages[workerId]) pages[workerId] = await openScoresPage(browser, archive, debug);
+      return pages[workerId];
+    };
     
     // Get all province links
     console.log('Looking for province selection buttons...');
-    
-    // Wait for the province section to load (visible in screenshot)
-    await page.waitForSelector('.province-area a', { timeout: 30000 });
+    const { page } = await pageFor(0);
     
     // Get all available provinces
     const provinces = await page.evaluate(() => {
@@ -62,224 +178,261 @@ async function scrapeAdmissionScores() {
     });
     
     console.log(`Found ${provinces.length} provinces`);
+    createProvinceCheck('the province links')(provinces);
     
-    // Filter to just the test provinces if needed
-    const targetProvinces = TEST_PROVINCES.length > 0 ? 
-      provinces.filter(p => TEST_PROVINCES.includes(p)) : 
+    // Only the requested provinces (--provinces, any spelling), all of them by default
+    const requested = options.provinces ? provinceSpellings(options.provinces) : null;
+    const targetProvinces = requested ? 
+      provinces.filter(p => requested.includes(p)) : 
       provinces;
     
-    console.log(`Will process ${targetProvinces.length} provinces:`, targetProvinces);
+    console.log(`Will process ${targetProvinces.length} provinces with ${Math.min(concurrency, targetProvinces.length)} workers:`, targetProvinces);
     
-    for (let i = 0; i < targetProvinces.length; i++) {
-      const province = targetProvinces[i];
-      console.log(`Processing province ${i+1}/${targetProvinces.length}: ${province}`);
+    const resultsByProvince = await runPool(targetProvinces, concurrency, async (province, i, workerId) => {
+      if (checkpoint.isDone({ '省市': province }) || (scope && !scope({ '省市': province }))) {
+        const stored = checkpoint.getRecords({ '省市': province });
+        console.log(`Skipping province ${i+1}/${targetProvinces.length}: ${province} (${checkpoint.isDone({ '省市': province }) ? 'done in checkpoint' : 'did not fail'}, ${stored.length} records)`);
+        await reporter.unitDone({ '省市': province }, stored, targetProvinces.length);
+        return stored;
+      }
+      
+      console.log(`[worker ${workerId + 1}] Processing province ${i+1}/${targetProvinces.length}: ${province}`);
+      const { page, traffic } = await pageFor(workerId);
+      const { results, complete } = await scrapeProvince(page, province, { checkpoint, traffic, limiter, reporter, rejects, debug, scope, years });
       
-      // Each province gets its own results array
-      const provinceResults = [];
+      if (complete) {
+        checkpoint.markFinished({ '省市': province });
+      }
+      
+      const provinceResults = dedupeRecords(results);
+      
+      // Save intermediate results after each province
+      if (provinceResults.length > 0) {
+        saveToFile(provinceResults, `${OUTPUT_FILE}.${province}`, outDir);
+        console.log(`Saved ${provinceResults.length} records for province ${province}`);
+      }
+      await reporter.unitDone({ '省市': province }, provinceResults, targetProvinces.length);
+      return provinceResults;
+    }, (error, province) => reporter.error(error, { '省市': province }));
+    
+    const allResults = dedupeRecords(resultsByProvince.flatMap(results => results || []));
+    
+    // Save all results
+    if (allResults.length > 0) {
+      saveToFile(allResults, OUTPUT_FILE, outDir);
+      console.log(`Saved all ${allResults.length} records to ${OUTPUT_FILE}`);
+    } else {
+      console.log('No data was extracted');
+    }
+    
+    return allResults;
+  } catch (error) {
+    console.error('Error during scraping:', error);
+    reporter.error(error, null);
+    throw error;
+  } finally {
+    rejects.close();
+    ledger.close();
+    if (archive) archive.close();
+    await browser.close();
+    console.log('Browser closed');
+  }
+}
+
+/**
+ * Walk every year, category and admission type of one province
+ * @param {import('puppeteer').Page} page - This worker's page
+ * @param {string} province - Province to click
+ * @param {Object} context - `{ checkpoint, traffic, limiter, reporter, rejects, debug }` shared with the other workers, the `years` to keep
+ *   and the retry-failed `scope` (selections outside it are restored from the checkpoint)
+ * @returns {Promise<{results: Array, complete: boolean}>} - The province's records and whether every combination succeeded
+ */
+async function scrapeProvince(page, province, { checkpoint, traffic, limiter, reporter, rejects, debug = null, scope = null, years: yearFilter }) {
+  // Outside a retry every selection is walked
+  const inScope = selection => !scope || scope(selection);
+  // Report a failure, with the page's debug bundle under --debug
+  const fail = async (error, unit) => reporter.error(error, unit, debug ? await debug.save(page, unit, error.message) : undefined);
+
+  // Each province gets its own results array
+  const provinceResults = [];
+  let provinceComplete = true;
+  
+  try {
+    if (traffic) traffic.setContext({ '省市': province });
+    // Click on the province link
+    await selectLink(page, '.province-area a', province, { '省市': province }, limiter);
+    
+    // Get all year options
+    console.log('  Waiting for year options to load...');
+    await page.waitForSelector('.year-area a', { timeout: 10000 });
+    const years = (await page.evaluate(() => {
+      return Array.from(document.querySelectorAll('.year-area a'))
+        .map(el => el.textContent.trim());
+    })).filter(year => !yearFilter || yearFilter.includes(year));
+    
+    console.log(`  Found ${years.length} years for province ${province}`);
+    
+    // Process each year
+    for (let j = 0; j < years.length; j++) {
+      const year = years[j];
+      if (!inScope({ '省市': province, '年份': year })) {
+        provinceResults.push(...checkpoint.getRecords({ '省市': province, '年份': year }));
+        continue;
+      }
+      console.log(`  Processing year ${j+1}/${years.length}: ${year}`);
       
       try {
-        // Click on the province link
-        await page.evaluate((provinceName) => {
-          const links = Array.from(document.querySelectorAll('.province-area a'));
-          const provinceLink = links.find(a => a.textContent.trim() === provinceName);
-          if (provinceLink) provinceLink.click();
-          else throw new Error(`Province link for "${provinceName}" not found`);
-        }, province);
-        await sleep(2000); // Wait for province selection to update
+        if (traffic) traffic.setContext({ '省市': province, '年份': year });
+        // Click on the year link
+        await selectLink(page, '.year-area a', year, { '省市': province, '年份': year }, limiter);
         
-        // Get all year options
-        console.log('  Waiting for year options to load...');
-        await page.waitForSelector('.year-area a', { timeout: 10000 });
-        const years = await page.evaluate(() => {
-          return Array.from(document.querySelectorAll('.year-area a'))
+        // Get all category options (科类)
+        console.log('    Waiting for category options to load...');
+        await page.waitForSelector('.category-area a', { timeout: 10000 });
+        const categories = await page.evaluate(() => {
+          return Array.from(document.querySelectorAll('.category-area a'))
             .map(el => el.textContent.trim());
         });
         
-        console.log(`  Found ${years.length} years for province ${province}`);
+        console.log(`    Found ${categories.length} categories for province ${province}, year ${year}`);
         
-        // Process each year
-        for (let j = 0; j < years.length; j++) {
-          const year = years[j];
-          console.log(`  Processing year ${j+1}/${years.length}: ${year}`);
+        // Process each category
+        for (let k = 0; k < categories.length; k++) {
+          const category = categories[k];
+          if (!inScope({ '省市': province, '年份': year, '科类': category })) {
+            provinceResults.push(...checkpoint.getRecords({ '省市': province, '年份': year, '科类': category }));
+            continue;
+          }
+          console.log(`    Processing category ${k+1}/${categories.length}: ${category}`);
           
           try {
-            // Click on the year link
-            await page.evaluate((yearText) => {
-              const links = Array.from(document.querySelectorAll('.year-area a'));
-              const yearLink = links.find(a => a.textContent.trim() === yearText);
-              if (yearLink) yearLink.click();
-              else throw new Error(`Year link for "${yearText}" not found`);
-            }, year);
-            await sleep(2000); // Wait for year selection to update
+            if (traffic) traffic.setContext({ '省市': province, '年份': year, '科类': category });
+            // Click on the category link
+            await selectLink(page, '.category-area a', category, { '省市': province, '年份': year }, limiter);
             
-            // Get all category options (科类)
-            console.log('    Waiting for category options to load...');
-            await page.waitForSelector('.category-area a', { timeout: 10000 });
-            const categories = await page.evaluate(() => {
-              return Array.from(document.querySelectorAll('.category-area a'))
-                .map(el => el.textContent.trim());
+            // Check if admission type section exists
+            const hasTypeSection = await page.evaluate(() => {
+              return document.querySelector('.type-area a') !== null;
             });
             
-            console.log(`    Found ${categories.length} categories for province ${province}, year ${year}`);
+            let admissionTypes = ['普通'];
             
-            // Process each category
-            for (let k = 0; k < categories.length; k++) {
-              const category = categories[k];
-              console.log(`    Processing category ${k+1}/${categories.length}: ${category}`);
+            if (hasTypeSection) {
+              // Wait for admission types to load
+              console.log('      Waiting for admission type options to load...');
+              await page.waitForSelector('.type-area a', { timeout: 10000 });
               
-              try {
-                // Click on the category link
-                await page.evaluate((categoryText) => {
-                  const links = Array.from(document.querySelectorAll('.category-area a'));
-                  const categoryLink = links.find(a => a.textContent.trim() === categoryText);
-                  if (categoryLink) categoryLink.click();
-                  else throw new Error(`Category link for "${categoryText}" not found`);
-                }, category);
-                await sleep(2000); // Wait for category selection to update
-                
-                // Check if admission type section exists
-                const hasTypeSection = await page.evaluate(() => {
-                  return document.querySelector('.type-area a') !== null;
-                });
+              // Get all admission type options (类型)
+              admissionTypes = await page.evaluate(() => {
+                return Array.from(document.querySelectorAll('.type-area a'))
+                  .map(el => el.textContent.trim());
+              });
+              
+              console.log(`      Found ${admissionTypes.length} admission types`);
+              
+              // Process each admission type
+              for (let l = 0; l < admissionTypes.length; l++) {
+                const admissionType = admissionTypes[l];
+                console.log(`      Processing admission type ${l+1}/${admissionTypes.length}: ${admissionType}`);
                 
-                let admissionTypes = ['普通'];
+                const combination = { '省市': province, '年份': year, '科类': category, '类型': admissionType };
+                if (checkpoint.isDone(combination) || !inScope(combination)) {
+                  const stored = checkpoint.getRecords(combination);
+                  console.log(`      Skipping admission type ${admissionType} (${checkpoint.isDone(combination) ? 'done in checkpoint' : 'did not fail'})`);
+                  provinceResults.push(...stored);
+                  continue;
+                }
                 
-                if (hasTypeSection) {
-                  // Wait for admission types to load
-                  console.log('      Waiting for admission type options to load...');
-                  await page.waitForSelector('.type-area a', { timeout: 10000 });
-                  
-                  // Get all admission type options (类型)
-                  admissionTypes = await page.evaluate(() => {
-                    return Array.from(document.querySelectorAll('.type-area a'))
-                      .map(el => el.textContent.trim());
-                  });
-                  
-                  console.log(`      Found ${admissionTypes.length} admission types`);
+                try {
+                  if (traffic) traffic.setContext(combination);
+                  // Clicking the type that is already selected leaves the table as it is
+                  const before = await tableSignature(page);
+                  const wasActive = await isLinkActive(page, '.type-area a', admissionType);
                   
-                  // Process each admission type
-                  for (let l = 0; l < admissionTypes.length; l++) {
-                    let admissionType = admissionTypes[l]; // Changed from const to let
-                    console.log(`      Processing admission type ${l+1}/${admissionTypes.length}: ${admissionType}`);
-                    
-                    try {
-                      // Use the category as the admission type
-                      admissionType = category;
-                      
-                      if (admissionType !== '普通' || hasTypeSection) {
-                        // Click on the admission type link if it exists
-                        await page.evaluate((typeText) => {
-                          const links = Array.from(document.querySelectorAll('.type-area a'));
-                          const typeLink = links.find(a => a.textContent.trim() === typeText);
-                          if (typeLink) typeLink.click();
-                          else throw new Error(`Admission type link for "${typeText}" not found`);
-                        }, admissionType);
-                      }
-                      await sleep(2000); // Wait for selection to update
-                      
-                      // Extract data from the current selection
-                      const results = await extractDataFromPage(page, province, year, category, admissionType);
-                      provinceResults.push(...results);
-                      allResults.push(...results);
-                    } catch (error) {
-                      console.error(`      Error processing admission type ${admissionType}:`, error.message);
-                    }
+                  // Click on the admission type link
+                  await selectLink(page, '.type-area a', admissionType, { '省市': province, '年份': year }, limiter);
+                  if (!wasActive) {
+                    await waitForTableChange(page, before, `admission type ${admissionType}`);
                   }
-                } else {
-                  console.log('      No admission type selector found, extracting data directly');
-                  const results = await extractDataFromPage(page, province, year, category, '普通');
+                  
+                  // Extract data from the current selection
+                  const results = await extractDataFromPage(page, province, year, category, admissionType, rejects.rejecter(combination));
+                  if (debug && results.length === 0) await debug.save(page, combination, 'No rows extracted');
                   provinceResults.push(...results);
-                  allResults.push(...results);
+                  checkpoint.markCombination(combination, results);
+                } catch (error) {
+                  provinceComplete = false;
+                  console.error(`      Error processing admission type ${admissionType}:`, error.message);
+                  await fail(error, combination);
                 }
-              } catch (error) {
-                console.error(`    Error processing category ${category}:`, error.message);
+              }
+            } else {
+              const combination = { '省市': province, '年份': year, '科类': category, '类型': '普通' };
+              if (checkpoint.isDone(combination) || !inScope(combination)) {
+                const stored = checkpoint.getRecords(combination);
+                console.log(`      Skipping category ${category} without admission types (${checkpoint.isDone(combination) ? 'done in checkpoint' : 'did not fail'})`);
+                provinceResults.push(...stored);
+              } else {
+                console.log('      No admission type selector found, extracting data directly');
+                const results = await extractDataFromPage(page, province, year, category, '普通', rejects.rejecter(combination));
+                if (debug && results.length === 0) await debug.save(page, combination, 'No rows extracted');
+                provinceResults.push(...results);
+                checkpoint.markCombination(combination, results);
               }
             }
           } catch (error) {
-            console.error(`  Error processing year ${year}:`, error.message);
+            provinceComplete = false;
+            console.error(`    Error processing category ${category}:`, error.message);
+            await fail(error, { '省市': province, '年份': year, '科类': category });
           }
         }
       } catch (error) {
-        console.error(`Error processing province ${province}:`, error.message);
-      }
-      
-      // Save intermediate results after each province
-      if (provinceResults.length > 0) {
-        saveToFile(provinceResults, `${OUTPUT_FILE}.${province}`);
-        console.log(`Saved ${provinceResults.length} records for province ${province}`);
+        provinceComplete = false;
+        console.error(`  Error processing year ${year}:`, error.message);
+        await fail(error, { '省市': province, '年份': year });
       }
     }
-    
-    // Save all results
-    if (allResults.length > 0) {
-      saveToFile(allResults, OUTPUT_FILE);
-      console.log(`Saved all ${allResults.length} records to ${OUTPUT_FILE}`);
-    } else {
-      console.log('No data was extracted');
-    }
-    
-    return allResults;
   } catch (error) {
-    console.error('Error during scraping:', error);
-  } finally {
-    await browser.close();
-    console.log('Browser closed');
+    provinceComplete = false;
+    console.error(`Error processing province ${province}:`, error.message);
+    await fail(error, { '省市': province });
   }
+  
+  return { results: provinceResults, complete: provinceComplete };
 }
 
-async function extractDataFromPage(page, province, year, category, admissionType) {
+/**
+ * Read the scores table of the current selection
+ * @param {import('puppeteer').Page} page - Page showing the selection
+ * @param {string} province - Selected province
+ * @param {string} year - Selected year
+ * @param {string} category - Selected category (科类)
+ * @param {string} admissionType - Selected admission type
+ * @param {Function} [reject] - `({ reason, headers, cells })` receives rows that cannot be extracted (see ../common/rejects.js)
+ * @returns {Promise<Array>} - Records
+ */
+async function extractDataFromPage(page, province, year, category, admissionType, reject = () => {}) {
   console.log('        Extracting data from page...');
   const results = [];
   
   try {
-    // Check if the data table exists
-    const hasDataTable = await page.evaluate(() => {
-      return document.querySelector('table.scores-table') !== null;
-    });
+    const tables = await readTablesFromPage(page, [SCORES_TABLE]);
+    const table = tables[SCORES_TABLE];
     
-    if (hasDataTable) {
+    if (table) {
       console.log('        Found data table');
       
-      // Extract data from the table
-      const tableData = await page.evaluate((school, province, year, category, admissionType) => {
-        const rows = Array.from(document.querySelectorAll('table.scores-table tbody tr'));
-        const validRows = rows.filter(row => 
-          !row.classList.contains('loading') && 
-          !row.classList.contains('no_data')
-        );
-        
-        return validRows.map(row => {
-          const cells = Array.from(row.querySelectorAll('td'));
-          if (cells.length < 3) return null;
-          
-          // 表格实际结构固定为: [年份, 省市, 科类, 类型, 最低分, 平均分, 控制线]
-          // 没有其他格式
-          
-          // 提取各列数据
-          const yearVal = cells[0]?.textContent.trim() || year;
-          const provinceVal = cells[1]?.textContent.trim() || province;
-          const categoryVal = cells[2]?.textContent.trim() || category;
-          const typeVal = cells[3]?.textContent.trim() || "";
-          const lowestScore = cells[4]?.textContent.trim() || "";
-          const averageScore = cells[5]?.textContent.trim() || "";
-          const controlLine = cells[6]?.textContent.trim() || "";
-          
-          // 使用表格中提取的类型
-          return {
-            "学校": school,
-            "年份": yearVal,
-            "省市": provinceVal,
-            "科类": categoryVal,
-            "类型": typeVal || admissionType.trim(), // 如果表格中没有类型值，则使用传入的类型
-            "最低分": lowestScore,
-            "平均分": averageScore,
-            "控制线": controlLine
-          };
-        }).filter(item => item !== null);
-      }, "北京航空航天大学", province, year, category, admissionType);
+      // 表格结构为: [年份, 省市, 科类, 类型, 最低分, 平均分, 控制线]，表头对应关系见 site_config.js
+      const records = mapTable('scores', table, {
+        "学校": siteConfig.school,
+        "年份": year,
+        "省市": province,
+        "科类": category,
+        "类型": admissionType.trim() // 表格中没有类型值时使用传入的类型
+      }, reject);
       
-      results.push(...tableData);
-      console.log(`        Extracted ${tableData.length} records`);
+      results.push(...records);
+      console.log(`        Extracted ${records.length} records`);
     } else {
       console.log('        No data table found on the page');
     }
@@ -290,29 +443,29 @@ async function extractDataFromPage(page, province, year, category, admissionType
   return results;
 }
 
-// Helper function to save data to a file
-function saveToFile(data, filename) {
-  // Create directory if it doesn't exist
-  const dir = './output';
-  if (!fs.existsSync(dir)){
-    fs.mkdirSync(dir);
-  }
+/**
+ * Check BUAA's landing page for selector drift (see ../common/canary.js)
+ * @param {Object} [options] - `headless`, `traffic`, `outDir`
+ * @returns {Promise<Object>} - `{ school, ok, lines }`
+ */
+async function check(options = {}) {
+  return runCanary(require('puppeteer'), siteConfig, options);
+}
 
-  // Format each record as a JSON line
-  const jsonLines = data.map(item => JSON.stringify(item)).join('\n');
-  
-  // Also save a pretty version for easier inspection
-  fs.writeFileSync(`${dir}/${filename}.pretty`, JSON.stringify(data, null, 2), 'utf8');
-  
-  // Write to file
-  fs.writeFileSync(`${dir}/${filename}`, jsonLines, 'utf8');
+// Run the scraper (same flags as `gaokao scrape buaa`)
+if (require.main === module) {
+  scrapeAdmissionScores(parseRunArgs(process.argv.slice(2)))
+    .then(() => {
+      console.log('Scraping completed successfully');
+    })
+    .catch(error => {
+      console.error('Scraping failed:', error);
+      process.exitCode = 1;
+    });
 }
 
-// Run the scraper
-scrapeAdmissionScores()
-  .then(() => {
-    console.log('Scraping completed successfully');
-  })
-  .catch(error => {
-    console.error('Scraping failed:', error);
-  });
+module.exports = {
+  scrape: scrapeAdmissionScores,
+  check,
+  extractDataFromPage
+};
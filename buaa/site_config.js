@@ -0,0 +1,42 @@
+/**
+ * BUAA site config
+ */
+
+module.exports = {
+  school: '北京航空航天大学',
+  targetUrl: 'https://lqcx.buaa.edu.cn/static/front/buaa/basic/html_web/lnfs.html',
+  outputFile: 'buaa_admission_scores.json',
+  // Upper bound for the page to settle after each filter click
+  waitTimeout: 10000,
+  // Score table, mapped by ../common/table_mapping.js: record field -> header
+  // texts the site uses for it; the cells are read by position when the
+  // headers do not fit
+  tables: {
+    scores: {
+      selector: 'table.scores-table',
+      label: 'Score table',
+      columns: {
+        '年份': ['年份'],
+        '省市': ['省市', '省份'],
+        '科类': ['科类'],
+        '类型': ['类型'],
+        '最低分': ['最低分'],
+        '平均分': ['平均分'],
+        '控制线': ['控制线']
+      },
+      positions: ['年份', '省市', '科类', '类型', '最低分', '平均分', '控制线'],
+      defaults: { '学校': '', '年份': '', '省市': '', '科类': '', '类型': '', '最低分': '', '平均分': '', '控制线': '' },
+      minCells: 3
+    }
+  },
+  // Selector drift canary (gaokao check buaa, see ../common/canary.js): the
+  // first province, year and category are followed to the score table, whose
+  // columns the scraper reads by position
+  canary: {
+    links: ['.province-area a', '.year-area a', '.category-area a'],
+    tables: {
+      'table.scores-table': { headers: ['年份', '省市', '科类', '类型', '最低分', '平均分', '控制线'], positional: true }
+    }
+  },
+  launchArgs: ['--no-sandbox']
+};
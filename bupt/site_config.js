@@ -0,0 +1,97 @@
+/**
+ * BUPT site config for the shared faceted-filter crawler
+ * (see ../common/facet_crawler.js)
+ */
+
+// Header texts of the columns both lnfs tables share
+const COMMON_COLUMNS = {
+  '年份': ['年份'],
+  '省市': ['省市', '省份'],
+  '科类': ['科类'],
+  '类型': ['招生类型'],
+  '录取人数': ['录取人数'],
+  '最高分': ['最高分'],
+  '最低分': ['最低分'],
+  '平均分': ['平均分'],
+  '专业组/选考科目': ['专业组/选考科目', '专业组/科目类/单设志愿']
+};
+
+module.exports = {
+  school: '北京邮电大学',
+  targetUrl: 'https://zscx.bupt.edu.cn/zsw/lnfs.html',
+  outputFile: 'bupt_admission_scores.json',
+  // Walk order: province -> year -> admission type -> category
+  facetOrder: ['ssmc', 'zsnf', 'zslx', 'klmc'],
+  // Save intermediate results after each province
+  partitionFacet: 'ssmc',
+  // Upper bound for the page to settle after each filter click
+  waitTimeout: 10000,
+  // Minimum gap between two clicks on the site, shared by all workers (--concurrency)
+  requestInterval: 500,
+  // JSON keys the table API may use for each record field (capture mode, --capture)
+  responseFields: {
+    '年份': ['zsnf', 'nf', '年份'],
+    '省市': ['ssmc', 'sf', '省市', '省份'],
+    '科类': ['klmc', 'kl', '科类'],
+    '类型': ['zslx', '招生类型'],
+    '专业': ['zymc', 'zy', '专业'],
+    '录取人数': ['lqrs', '录取人数'],
+    '最高分': ['zgf', 'maxScore', '最高分'],
+    '最低分': ['zdf', 'minScore', '最低分'],
+    '平均分': ['pjf', 'avgScore', '平均分'],
+    '专业组/选考科目': ['zyzm', '专业组/选考科目']
+  },
+  // Score tables on the lnfs page, mapped by ../common/table_mapping.js:
+  // record field -> header texts the site uses for it
+  tables: {
+    // 录取概况 (general admission); Format1 has 专业组/选考科目, Format2 招生类型
+    general: {
+      selector: 'table.table_con',
+      label: 'General table',
+      columns: COMMON_COLUMNS,
+      defaults: { '学校': '', '类型': '', '年份': '', '省市': '', '科类': '', '专业': '', '专业组/选考科目': '' },
+      minCells: 3
+    },
+    // 分专业录取情况 (admission by major)
+    major: {
+      selector: 'table.sort-table',
+      label: 'Major table',
+      columns: { ...COMMON_COLUMNS, '专业': ['专业'] },
+      // Partial tables: rows longer than the header row
+      positions: ['专业', '录取人数', '最高分', '最低分', '平均分'],
+      defaults: {
+        '学校': '', '类型': '', '年份': '', '省市': '', '科类': '', '专业': '',
+        '录取人数': '', '最高分': '', '最低分': '', '平均分': '', '专业组/选考科目': ''
+      },
+      minCells: 4
+    }
+  },
+  // HTTP-only mode (--http): the lnfs page loads its tables by XHR, so the
+  // mode sends that query itself, the selected facets as form fields named
+  // like the filter bar's data-param attributes. A browser run recorded with
+  // --record replaces these endpoints (see ../common/http_crawler.js).
+  http: {
+    endpoints: [
+      {
+        url: 'https://zscx.bupt.edu.cn/zsw/lnfs/query',
+        method: 'post',
+        format: 'form',
+        params: {},
+        fields: { zsnf: 'zsnf', ssmc: 'ssmc', xq: 'xq', zslx: 'zslx', klmc: 'klmc', zyzm: 'zyzm' }
+      }
+    ],
+    delay: 500
+  },
+  // Selector drift canary (gaokao check bupt, see ../common/canary.js): the
+  // first province and year are selected, then the tables must show the
+  // headers buildRecords maps
+  canary: {
+    selectors: ['.filter dd[data-param] a'],
+    links: ['.filter dd[data-param="ssmc"] a', '.filter dd[data-param="zsnf"] a'],
+    tables: {
+      'table.table_con': { headers: ['最高分', '最低分', '平均分'] },
+      'table.sort-table': { headers: ['专业', '最高分', '最低分', '平均分'] }
+    }
+  },
+  launchArgs: ['--no-sandbox']
+};
@@ -0,0 +1,161 @@
+/**
+ * Selector drift canary (`gaokao check <school>`)
+ *
+ * A redesign of a school's page used to show up only as a run that produced
+ * nothing. The canary loads the landing page, follows the first link of each
+ * filter the scraper walks until the score table shows, and checks the page
+ * against the school's `canary` spec in its site config:
+ *
+ *   canary: {
+ *     selectors: ['.filter dd[data-param] a'],          // must be on the landing page
+ *     links: ['.province-area a', { selector: 'a, button', text: '北京' }],
+ *                                                        // must be there, first (or matching) link is clicked
+ *     tables: { 'table.scores-table': { headers: [...], positional: true } }
+ *   }
+ *
+ * Table headers are compared with the known schema: a missing header is
+ * drift; an unknown one is only listed, unless the extractor reads the table
+ * by position (`positional`), where any change in the header row shifts
+ * the columns.
+ */
+
+const { clickAndWait, DEFAULT_WAIT_TIMEOUT } = require('./wait');
+const { openTrafficArchive } = require('./traffic_archive');
+const { DEFAULT_OUTPUT_DIR } = require('./output');
+
+const link = (entry) => typeof entry === 'string' ? { selector: entry } : entry;
+const linkLabel = ({ selector, text }) => text ? `${selector} "${text}"` : selector;
+
+/**
+ * Compare a table's headers with its known schema
+ * @param {string[]} found - Headers shown on the page
+ * @param {Object} schema - `{ headers, positional }` from the canary spec
+ * @returns {Object} - `{ missing, unknown, moved, drift }`; `moved` is set for a positional table in another order
+ */
+function diffHeaders(found, schema) {
+  const { headers: known = [], positional = false } = schema;
+  const missing = known.filter(header => !found.includes(header));
+  const unknown = found.filter(header => !known.includes(header));
+  const moved = positional && missing.length === 0 &&
+    known.some((header, idx) => found[idx] !== header);
+  const drift = missing.length > 0 || moved || (positional && unknown.length > 0);
+  return { missing, unknown, moved, drift };
+}
+
+/**
+ * Check an open landing page against a canary spec
+ * @param {import('puppeteer').Page} page - Page showing the school's landing page
+ * @param {Object} canary - `{ selectors, links, tables }`, see above
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Upper bound for the page to settle after each click
+ * @returns {Promise<Object>} - `{ ok, lines }`, the report one line per check
+ */
+async function checkPage(page, canary, options = {}) {
+  const { selectors = [], links = [], tables = {} } = canary;
+  const { timeout = DEFAULT_WAIT_TIMEOUT } = options;
+  const lines = [];
+  let ok = true;
+  const fail = (line) => {
+    ok = false;
+    lines.push(line);
+  };
+
+  for (const selector of selectors) {
+    const count = await page.evaluate(selector => document.querySelectorAll(selector).length, selector);
+    if (count > 0) lines.push(`  ok       ${selector} (${count})`);
+    else fail(`  MISSING  ${selector}`);
+  }
+
+  // Follow the filters down to the table; a missing one leaves the rest unreachable
+  for (const entry of links.map(link)) {
+    const count = await page.evaluate(({ selector, text }) =>
+      Array.from(document.querySelectorAll(selector))
+        .filter(el => !text || el.textContent.trim() === text).length, entry);
+    if (count === 0) {
+      fail(`  MISSING  ${linkLabel(entry)}`);
+      break;
+    }
+    const clicked = await clickAndWait(page, () => page.evaluate(({ selector, text }) => {
+      const el = Array.from(document.querySelectorAll(selector))
+        .find(el => !text || el.textContent.trim() === text);
+      el.click();
+    }, entry), { timeout });
+    lines.push(`  ok       ${linkLabel(entry)} (${count}, clicked ${entry.text ? 'it' : 'the first'}${clicked ? '' : ', page did not settle'})`);
+  }
+
+  for (const [selector, schema] of Object.entries(tables)) {
+    const found = await page.evaluate(selector => {
+      const table = document.querySelector(selector);
+      if (!table) return null;
+      // The thead, or the first row of a table without one
+      const headerCells = table.querySelectorAll('thead th');
+      return Array.from(headerCells.length > 0 ? headerCells : (table.rows[0] ? table.rows[0].cells : []))
+        .map(cell => cell.textContent.trim());
+    }, selector);
+
+    if (found === null) {
+      fail(`  MISSING  ${selector}`);
+      continue;
+    }
+
+    const { missing, unknown, moved, drift } = diffHeaders(found, schema);
+    if (!drift) {
+      lines.push(`  ok       ${selector} headers: ${found.join(', ')}`);
+      if (unknown.length > 0) lines.push(`           not in the schema, ignored: ${unknown.join(', ')}`);
+      continue;
+    }
+
+    fail(`  CHANGED  ${selector} headers`);
+    lines.push(`           expected: ${(schema.headers || []).join(', ')}`);
+    lines.push(`           found:    ${found.join(', ')}`);
+    missing.forEach(header => lines.push(`         - ${header}`));
+    unknown.forEach(header => lines.push(`         + ${header}`));
+    if (moved) lines.push('           same headers in another order, the columns are read by position');
+  }
+
+  return { ok, lines };
+}
+
+/**
+ * Launch a browser, load a school's landing page and check it for selector drift
+ * @param {Object} puppeteer - The school's puppeteer module
+ * @param {Object} config - Site config with `targetUrl` and `canary`
+ * @param {Object} [options] - `headless`, `traffic` ('replay' checks the recorded pages), `outDir`
+ * @returns {Promise<Object>} - `{ school, ok, lines, error }`; `ok` is false when the page drifted or did not load (`error`)
+ */
+async function runCanary(puppeteer, config, options = {}) {
+  const { outDir = DEFAULT_OUTPUT_DIR, headless = true } = options;
+  console.log(`Checking ${config.school} at ${config.targetUrl}...`);
+
+  const browser = await puppeteer.launch({
+    headless,
+    args: config.launchArgs || ['--no-sandbox']
+  });
+  const archive = openTrafficArchive(config.outputFile, options.traffic === 'replay' ? 'replay' : null, outDir);
+  let result;
+  try {
+    const page = await browser.newPage();
+    if (config.viewport) await page.setViewport(config.viewport);
+    if (archive) await archive.attach(page);
+    await page.goto(config.targetUrl, { waitUntil: 'networkidle2', timeout: 60000 });
+    result = await checkPage(page, config.canary || {}, { timeout: config.waitTimeout });
+  } catch (error) {
+    console.error('Error loading the landing page:', error.message);
+    result = { ok: false, lines: [`  FAILED   ${error.message}`], error: error.message };
+  } finally {
+    if (archive) archive.close();
+    await browser.close();
+  }
+
+  console.log(result.lines.join('\n'));
+  if (result.ok) console.log(`${config.school}: every expected selector and header is there`);
+  else if (result.error) console.log(`${config.school}: the landing page could not be checked`);
+  else console.log(`${config.school}: the page has drifted from what the scraper expects`);
+  return { school: config.school, ...result };
+}
+
+module.exports = {
+  diffHeaders,
+  checkPage,
+  runCanary
+};
@@ -0,0 +1,92 @@
+/**
+ * Persistent checkpoint for long production scrapes
+ *
+ * Records every completed facet combination together with its records, and
+ * every finished subtree (e.g. a whole province), in a JSON file next to the
+ * output. A `--resume` run loads the file, skips finished work and reuses
+ * the stored records, so the final output merges old and new records.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_OUTPUT_DIR } = require('./output');
+
+/**
+ * Build the checkpoint key for a facet selection
+ * @param {Object} selection - Selected facets in walk order (name -> value)
+ * @returns {string} - Key such as `zsnf=2024|ssmc=北京`
+ */
+function selectionKey(selection) {
+  return Object.entries(selection).map(([name, value]) => `${name}=${value}`).join('|');
+}
+
+/**
+ * Open (or start) a checkpoint
+ * @param {string} outputFile - Output file name of the scraper, e.g. bjtu_admission_scores.json
+ * @param {Object} [options]
+ * @param {boolean} [options.resume] - Load the existing checkpoint instead of starting over
+ * @param {string} [options.dir] - Output directory (default: ./output)
+ * @returns {Object} - Checkpoint handle
+ */
+function openCheckpoint(outputFile, options = {}) {
+  const { resume = false, dir = DEFAULT_OUTPUT_DIR } = options;
+  const filePath = path.join(dir, `${outputFile}.checkpoint.json`);
+
+  let state = { combinations: {}, finished: [] };
+  if (resume && fs.existsSync(filePath)) {
+    state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    console.log(`Resuming from checkpoint ${filePath}: ${Object.keys(state.combinations).length} combinations, ${state.finished.length} finished subtrees`);
+  } else if (resume) {
+    console.log(`No checkpoint found at ${filePath}, starting from scratch`);
+  }
+  const finished = new Set(state.finished);
+
+  function save() {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    // Write to a temporary file first so a crash never leaves a truncated checkpoint
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ combinations: state.combinations, finished: Array.from(finished) }), 'utf8');
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    filePath,
+
+    /** Whether a combination or a whole subtree is already done */
+    isDone(selection) {
+      const key = selectionKey(selection);
+      return finished.has(key) || key in state.combinations;
+    },
+
+    /** Records stored for a combination and every combination below it */
+    getRecords(selection) {
+      const key = selectionKey(selection);
+      const records = [];
+      for (const [combination, stored] of Object.entries(state.combinations)) {
+        if (combination === key || combination.startsWith(`${key}|`)) {
+          records.push(...stored);
+        }
+      }
+      return records;
+    },
+
+    /** Store the records of one extracted combination */
+    markCombination(selection, records) {
+      state.combinations[selectionKey(selection)] = records;
+      save();
+    },
+
+    /** Mark a subtree (e.g. a province) as fully walked */
+    markFinished(selection) {
+      finished.add(selectionKey(selection));
+      save();
+    }
+  };
+}
+
+module.exports = {
+  selectionKey,
+  openCheckpoint
+};
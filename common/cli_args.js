@@ -0,0 +1,116 @@
+/**
+ * Command line options shared by every school
+ *
+ * The root `gaokao` command and each school's `production_scraper.js` read
+ * the same flags, so a school can be run either way:
+ *
+ *   --years 2024,2023       Only these years
+ *   --provinces 北京,上海    Only these provinces
+ *   --out DIR               Output directory (default: the school's output/)
+ *   --resume                Continue from the last checkpoint
+ *   --retry-failed          Walk only the units in the last run's failure ledger (implies --resume)
+ *   --capture               Map the sites' JSON responses instead of the DOM where possible
+ *   --http                  Fetch pages without a browser (BJTU, BUPT)
+ *   --record / --replay     Save the site traffic / serve it instead of the network
+ *   --concurrency N         Pages (or files) processed in parallel
+ *   --headful               Show the browser window (for debugging)
+ *   --debug                 Save screenshot, HTML, console and network log of failed or empty extractions
+ *   --pdfs DIR              PDF directory (BNU)
+ *   --subjects 物/化/地      Subject combination (eligible command)
+ *
+ * Flags take their value either as the next argument or after `=`.
+ */
+
+// Flags that take a value, and the option they set
+const VALUE_FLAGS = {
+  '--years': 'years',
+  '--provinces': 'provinces',
+  '--out': 'outDir',
+  '--concurrency': 'concurrency',
+  '--pdfs': 'pdfDir',
+  '--subjects': 'subjects'
+};
+
+// Flags without a value
+const BOOLEAN_FLAGS = {
+  '--resume': 'resume',
+  '--retry-failed': 'retryFailed',
+  '--capture': 'capture',
+  '--http': 'http',
+  '--record': 'record',
+  '--replay': 'replay',
+  '--headful': 'headful',
+  '--debug': 'debug',
+  '--help': 'help',
+  '-h': 'help'
+};
+
+/**
+ * Split a comma separated list (ASCII or full-width commas)
+ * @param {string} value - e.g. `北京,上海`
+ * @returns {string[]} - Trimmed, non-empty items
+ */
+function splitList(value) {
+  return value.split(/[,，]/).map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Parse command line arguments into run options
+ * @param {string[]} args - Arguments after the command, e.g. process.argv.slice(2)
+ * @returns {Object} - Options; `positional` holds the non-flag arguments
+ */
+function parseRunArgs(args) {
+  const raw = { positional: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('-')) {
+      raw.positional.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const flag = eq === -1 ? arg : arg.substring(0, eq);
+
+    if (flag in BOOLEAN_FLAGS && eq === -1) {
+      raw[BOOLEAN_FLAGS[flag]] = true;
+    } else if (flag in VALUE_FLAGS) {
+      const value = eq === -1 ? args[++i] : arg.substring(eq + 1);
+      if (value === undefined || value === '') {
+        throw new Error(`Option ${flag} needs a value`);
+      }
+      raw[VALUE_FLAGS[flag]] = value;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  const concurrency = raw.concurrency === undefined ? 1 : parseInt(raw.concurrency, 10);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`--concurrency must be a positive integer, got "${raw.concurrency}"`);
+  }
+
+  return {
+    positional: raw.positional,
+    years: raw.years ? splitList(raw.years) : null,
+    provinces: raw.provinces ? splitList(raw.provinces) : null,
+    // Left undefined when not given, so the scrapers' own defaults apply
+    outDir: raw.outDir || undefined,
+    resume: !!raw.resume || !!raw.retryFailed,
+    retryFailed: !!raw.retryFailed,
+    capture: !!raw.capture,
+    http: !!raw.http,
+    traffic: raw.replay ? 'replay' : raw.record ? 'record' : null,
+    concurrency,
+    headless: !raw.headful,
+    debug: !!raw.debug,
+    pdfDir: raw.pdfDir || undefined,
+    subjects: raw.subjects || null,
+    help: !!raw.help
+  };
+}
+
+module.exports = {
+  splitList,
+  parseRunArgs
+};
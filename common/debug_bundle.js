@@ -0,0 +1,103 @@
+/**
+ * Debug bundles (--debug)
+ *
+ * When an extraction fails or returns no rows, the page is saved as it was
+ * at that moment, so selector drift can be diagnosed after the run:
+ *
+ *   <outDir>/debug/<run start>/<facet path, e.g. 2024/北京/艺术类>/
+ *     screenshot.png   full-page screenshot
+ *     page.html        rendered HTML
+ *     console.log      the page's recent console messages and errors
+ *     network.log      the page's recent requests and responses
+ *     reason.txt       why the bundle was saved, and the page URL
+ *
+ * Nothing is written without --debug, and nothing for extractions that went fine.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_OUTPUT_DIR } = require('./output');
+
+// Log lines kept per page; older ones are dropped
+const MAX_LOG_LINES = 500;
+
+const timestamp = () => new Date().toISOString();
+
+// Facet values as directory names
+const safeName = (value) => String(value).replace(/[\\/:*?"<>|\s]+/g, '_') || '_';
+
+/**
+ * Start the debug bundles of a run
+ * @param {Object} options - Run options; nothing is saved unless `debug` is set
+ * @param {string} [dir] - Output directory (default: ./output)
+ * @returns {Object|null} - Bundles with watch(page) and save(page, unit, reason), null when debugging is off
+ */
+function openDebugBundles(options, dir = DEFAULT_OUTPUT_DIR) {
+  if (!options.debug) return null;
+
+  const runDir = path.join(dir, 'debug', timestamp().replace(/[:.]/g, '-'));
+  const logs = new WeakMap();
+  console.log(`Debug mode: failed or empty extractions are saved under ${runDir}`);
+
+  return {
+    runDir,
+
+    /**
+     * Keep the recent console and network activity of a page
+     * @param {import('puppeteer').Page} page - Page to watch, right after it was opened
+     */
+    watch(page) {
+      const log = { console: [], network: [] };
+      const push = (lines, line) => {
+        lines.push(`${timestamp()} ${line}`);
+        if (lines.length > MAX_LOG_LINES) lines.shift();
+      };
+      page.on('console', msg => push(log.console, `${msg.type()}: ${msg.text()}`));
+      page.on('pageerror', error => push(log.console, `pageerror: ${error.message}`));
+      page.on('request', request => push(log.network, `${request.method()} ${request.url()} (${request.resourceType()})`));
+      page.on('response', response => push(log.network, `${response.status()} ${response.url()}`));
+      page.on('requestfailed', request => {
+        const failure = request.failure();
+        push(log.network, `FAILED ${request.url()}${failure ? `: ${failure.errorText}` : ''}`);
+      });
+      logs.set(page, log);
+    },
+
+    /**
+     * Save the page's bundle; never throws, a broken page must not stop the run
+     * @param {import('puppeteer').Page} page - Page showing the failed selection
+     * @param {Object} unit - Selection, its values make up the bundle's directory
+     * @param {string} reason - Error message, or why the extraction counts as failed
+     * @returns {Promise<Object>} - `{ dir, screenshot, html }` paths, empty when nothing could be saved
+     */
+    async save(page, unit, reason) {
+      const base = path.join(runDir, ...Object.values(unit || {}).map(safeName));
+      // A unit saved again (e.g. on a later attempt) gets a numbered directory
+      let bundleDir = base;
+      for (let n = 2; fs.existsSync(bundleDir); n++) bundleDir = `${base}~${n}`;
+
+      try {
+        fs.mkdirSync(bundleDir, { recursive: true });
+        const log = logs.get(page) || { console: [], network: [] };
+        fs.writeFileSync(path.join(bundleDir, 'reason.txt'), `${reason}\n${page.url ? page.url() : ''}\n`, 'utf8');
+        fs.writeFileSync(path.join(bundleDir, 'console.log'), log.console.join('\n'), 'utf8');
+        fs.writeFileSync(path.join(bundleDir, 'network.log'), log.network.join('\n'), 'utf8');
+
+        const html = path.join(bundleDir, 'page.html');
+        fs.writeFileSync(html, await page.content(), 'utf8');
+        const screenshot = path.join(bundleDir, 'screenshot.png');
+        await page.screenshot({ path: screenshot, fullPage: true });
+
+        console.log(`Saved debug bundle to ${bundleDir}`);
+        return { dir: bundleDir, screenshot, html };
+      } catch (error) {
+        console.error(`Could not save debug bundle to ${bundleDir}:`, error.message);
+        return {};
+      }
+    }
+  };
+}
+
+module.exports = {
+  openDebugBundles
+};
@@ -0,0 +1,165 @@
+/**
+ * Eligibility of a student's subject combination (`gaokao eligible`)
+ *
+ * Families ask which groups and majors a student may apply to given their
+ * province, gaokao year and 选科, e.g. 北京 2024 物/化/地. Over canonical
+ * records (see ./normalize.js) of that province and year, a record is open
+ * to the student when
+ *
+ *   - its 科类 is the student's track or names none (不限), see ./exam_modes.js
+ *   - the student takes every subject of its 选科要求.必选 and one of 选科要求.任选,
+ *     see ./subject_requirements.js
+ *
+ * Schools without 专业组 may write the requirement into 计划类型 or 专业
+ * (BUAA 统招（限选物理）), which is read the same way. Records whose 专业组
+ * or restriction names a requirement that could not be read are excluded
+ * with that reason rather than guessed at. Special programmes
+ * (国家专项, 民委专项, 艺术类 ...) are kept with a note, their own conditions
+ * are not in the data.
+ */
+
+const { MODES, TRACKS, examMode, labelTrack } = require('./exam_modes');
+const { SUBJECTS, STATUS, findSubject, parseGroup } = require('./subject_requirements');
+const { findProvince } = require('./provinces');
+
+// 计划类型 whose applicants need more than their scores and subjects
+const SPECIAL_PLAN = /专项|公费师范|优师|单招|保送|民族|民委|预科|强基|艺术|体育|高水平|定向|国防|飞行/;
+
+// Subject restrictions written into 计划类型 or 专业 by schools without 专业组, e.g. BUAA 统招（限选物理）
+const RESTRICTION = /限选|选考|必选|须选|首选/;
+const RESTRICTED_FIELDS = ['计划类型', '专业'];
+
+// Reasons a student misses a `{ 必选, 任选 }` requirement, naming where it was written
+const missingReasons = (requirement, student, source) => {
+  const reasons = [];
+  const missing = requirement['必选'].filter(subject => !student.subjects.includes(subject));
+  if (missing.length > 0) reasons.push(`${source} requires ${missing.join(', ')}`);
+  const anyOf = requirement['任选'];
+  if (anyOf.length > 0 && !anyOf.some(subject => student.subjects.includes(subject))) {
+    reasons.push(`${source} requires one of ${anyOf.join(', ')}`);
+  }
+  return reasons;
+};
+
+/**
+ * Parse a subject combination
+ * @param {string} text - 物/化/地, 物理,化学,地理, 物化地; in a 文理 province 理工 or 文史
+ * @returns {Object} - `{ subjects }` in the order given, or `{ track }` for a 文理 track
+ */
+function parseCombination(text) {
+  const value = String(text || '').replace(/\s+/g, '');
+  if (/^(理工|文史|理科|文科|理|文)类?$/.test(value)) return { track: labelTrack(value) };
+
+  const parts = /[/／,，、+＋]/.test(value) ? value.split(/[/／,，、+＋]+/).filter(Boolean) : Array.from(value);
+  const subjects = parts.map(findSubject);
+  const unknown = parts.filter((part, idx) => !subjects[idx]);
+  if (unknown.length > 0 || parts.length === 0) {
+    throw new Error(`Not a subject combination: "${text}" (${unknown.join(', ') || 'empty'}), ` +
+      `expected subjects such as 物/化/地 from ${SUBJECTS.map(subject => subject.name).join(', ')}`);
+  }
+  return { subjects: subjects.filter((subject, idx) => subjects.indexOf(subject) === idx) };
+}
+
+/**
+ * Describe a student for the checks: canonical province, exam mode and track
+ * @param {Object} query - `{ province, year, subjects }`, subjects as for parseCombination
+ * @returns {Object} - `{ province, year, mode, track, subjects }`
+ */
+function describeStudent(query) {
+  const province = findProvince(query.province);
+  if (!province) throw new Error(`Unknown province "${query.province}"`);
+  const year = String(query.year || '').trim();
+  const mode = examMode(province.name, year);
+  if (!mode) throw new Error(`No gaokao exam mode for ${province.name} ${year}`);
+
+  const combination = parseCombination(query.subjects);
+  if (mode === MODES.TRADITIONAL) {
+    if (!combination.track) {
+      throw new Error(`${province.name} ${year} took the 文理 exam, give the track (理工 or 文史) instead of subjects`);
+    }
+    return { province: province.name, year, mode, track: combination.track, subjects: [] };
+  }
+
+  if (!combination.subjects || combination.subjects.length !== 3) {
+    throw new Error(`${province.name} ${year} took the ${mode} exam, give three subjects such as 物/化/地`);
+  }
+  const { subjects } = combination;
+  if (mode === MODES.COMPREHENSIVE) {
+    return { province: province.name, year, mode, track: TRACKS.COMPREHENSIVE, subjects };
+  }
+  // 3+1+2: the first of 物理 and 历史 as written is the 首选 subject
+  const first = subjects.find(subject => subject === '物理' || subject === '历史');
+  if (!first) throw new Error(`${province.name} ${year} took the 3+1+2 exam, the subjects need 物理 or 历史`);
+  return { province: province.name, year, mode, track: first === '物理' ? TRACKS.PHYSICS : TRACKS.HISTORY, subjects };
+}
+
+/**
+ * Check one canonical record against a student
+ * @param {Object} record - Canonical record of the student's province and year
+ * @param {Object} student - From describeStudent
+ * @returns {Object} - `{ reasons, notes }`; the record is open to the student when reasons is empty
+ */
+function checkRecord(record, student) {
+  const reasons = [];
+  const notes = [];
+  // Placeholders such as `--` leave no group code
+  const group = record['专业组代码'] ? record['专业组'] : '';
+  const requirement = record['选科要求'];
+
+  if (record['科类'] && record['科类'] !== student.track) {
+    reasons.push(`科类 ${record['科类']} (${record['科类原文']}), the student is ${student.track}`);
+  } else if (!record['科类'] && record['科类原文']) {
+    notes.push(`科类 ${record['科类原文']} names no track, open to both`);
+  }
+
+  if (group && !requirement) {
+    reasons.push(`the subject requirement of 专业组 "${group}" could not be read, check it on the school's site`);
+  } else if (requirement && student.mode !== MODES.TRADITIONAL) {
+    reasons.push(...missingReasons(requirement, student, `专业组 "${group}"`));
+  } else if (!group && student.mode !== MODES.TRADITIONAL) {
+    const restricted = RESTRICTED_FIELDS.filter(field => RESTRICTION.test(record[field] || ''));
+    if (restricted.length === 0) {
+      notes.push(`${record['学校']} publishes no 专业组 here, subject requirements not checked`);
+    }
+    for (const field of restricted) {
+      const parsed = parseGroup(record[field]);
+      if (parsed.status !== STATUS.PARSED) {
+        reasons.push(`the subject restriction of ${field} "${record[field]}" could not be read, check it on the school's site`);
+      } else {
+        reasons.push(...missingReasons({ '必选': parsed.required, '任选': parsed.either }, student, `${field} "${record[field]}"`));
+      }
+    }
+  }
+
+  if (SPECIAL_PLAN.test(record['计划类型'])) {
+    notes.push(`${record['计划类型']} has its own admission conditions`);
+  }
+  return { reasons, notes };
+}
+
+/**
+ * Split canonical records into the ones a student may apply to and the excluded ones
+ * @param {Array} records - Canonical records, any province and year
+ * @param {Object} query - `{ province, year, subjects }`, see describeStudent
+ * @returns {Object} - `{ student, eligible: [{ record, notes }], excluded: [{ record, reasons, notes }] }`,
+ *   records of other provinces and years are left out of both
+ */
+function queryEligibility(records, query) {
+  const student = describeStudent(query);
+  const eligible = [];
+  const excluded = [];
+  for (const record of records) {
+    if (record['省市'] !== student.province || String(record['年份']) !== student.year) continue;
+    const { reasons, notes } = checkRecord(record, student);
+    if (reasons.length === 0) eligible.push({ record, notes });
+    else excluded.push({ record, reasons, notes });
+  }
+  return { student, eligible, excluded };
+}
+
+module.exports = {
+  parseCombination,
+  describeStudent,
+  checkRecord,
+  queryEligibility
+};
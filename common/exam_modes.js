@@ -0,0 +1,153 @@
+/**
+ * Gaokao exam modes and canonical 科类 tracks
+ *
+ * Each school labels the track a score belongs to in its own words: BJTU
+ * `综合改革`/`理工`/`文史`, BUAA `综合改革`, BNU (from the LLM) `文史`/`理工`/
+ * `不限`, BUPT only in group names such as `物理类专业组`. What a label means
+ * depends on the province's exam mode in that year:
+ *
+ *   文理     traditional exam, tracks 理工 and 文史
+ *   3+3      free choice of three subjects, a single track 综合
+ *   3+1+2    physics or history first, tracks 物理类 and 历史类
+ *
+ * MODE_CHANGES records the first gaokao year under each new mode per
+ * province; years before the first change are 文理. normalizeTrack maps a
+ * record's label to the province's track for that year, so 理工 in Fujian
+ * 2024 (3+1+2) becomes 物理类 and 综合改革 in Beijing stays 综合.
+ */
+
+const { findProvince } = require('./provinces');
+
+const MODES = {
+  TRADITIONAL: '文理',
+  COMPREHENSIVE: '3+3',
+  PHYSICS_HISTORY: '3+1+2'
+};
+
+// Canonical tracks
+const TRACKS = {
+  PHYSICS: '物理类',
+  HISTORY: '历史类',
+  COMPREHENSIVE: '综合',
+  SCIENCE: '理工',
+  LIBERAL_ARTS: '文史'
+};
+
+// Tracks each mode admits
+const MODE_TRACKS = {
+  [MODES.TRADITIONAL]: [TRACKS.SCIENCE, TRACKS.LIBERAL_ARTS],
+  [MODES.COMPREHENSIVE]: [TRACKS.COMPREHENSIVE],
+  [MODES.PHYSICS_HISTORY]: [TRACKS.PHYSICS, TRACKS.HISTORY]
+};
+
+// Province -> [first gaokao year, mode] for every change away from 文理.
+// Provinces not listed (新疆, 西藏) still take the traditional exam; add them
+// here when their first reformed gaokao is held.
+const MODE_CHANGES = {
+  '上海': [[2017, MODES.COMPREHENSIVE]],
+  '浙江': [[2017, MODES.COMPREHENSIVE]],
+  '北京': [[2020, MODES.COMPREHENSIVE]],
+  '天津': [[2020, MODES.COMPREHENSIVE]],
+  '山东': [[2020, MODES.COMPREHENSIVE]],
+  '海南': [[2020, MODES.COMPREHENSIVE]],
+  '河北': [[2021, MODES.PHYSICS_HISTORY]],
+  '辽宁': [[2021, MODES.PHYSICS_HISTORY]],
+  '江苏': [[2021, MODES.PHYSICS_HISTORY]],
+  '福建': [[2021, MODES.PHYSICS_HISTORY]],
+  '湖北': [[2021, MODES.PHYSICS_HISTORY]],
+  '湖南': [[2021, MODES.PHYSICS_HISTORY]],
+  '广东': [[2021, MODES.PHYSICS_HISTORY]],
+  '重庆': [[2021, MODES.PHYSICS_HISTORY]],
+  '黑龙江': [[2024, MODES.PHYSICS_HISTORY]],
+  '吉林': [[2024, MODES.PHYSICS_HISTORY]],
+  '安徽': [[2024, MODES.PHYSICS_HISTORY]],
+  '江西': [[2024, MODES.PHYSICS_HISTORY]],
+  '广西': [[2024, MODES.PHYSICS_HISTORY]],
+  '贵州': [[2024, MODES.PHYSICS_HISTORY]],
+  '甘肃': [[2024, MODES.PHYSICS_HISTORY]],
+  '山西': [[2025, MODES.PHYSICS_HISTORY]],
+  '内蒙古': [[2025, MODES.PHYSICS_HISTORY]],
+  '河南': [[2025, MODES.PHYSICS_HISTORY]],
+  '四川': [[2025, MODES.PHYSICS_HISTORY]],
+  '云南': [[2025, MODES.PHYSICS_HISTORY]],
+  '陕西': [[2025, MODES.PHYSICS_HISTORY]],
+  '青海': [[2025, MODES.PHYSICS_HISTORY]],
+  '宁夏': [[2025, MODES.PHYSICS_HISTORY]]
+};
+
+// Regions whose students do not take the national gaokao
+const NO_GAOKAO = ['台湾', '香港', '澳门'];
+
+/**
+ * Exam mode of a province in a gaokao year
+ * @param {string} province - Province name, any spelling known to ./provinces.js
+ * @param {string|number} year - Gaokao year
+ * @returns {string|null} - One of MODES, null for unknown provinces, years or regions without the gaokao
+ */
+function examMode(province, year) {
+  const entry = findProvince(province);
+  const gaokaoYear = parseInt(year, 10);
+  if (!entry || NO_GAOKAO.includes(entry.name) || !Number.isInteger(gaokaoYear)) return null;
+
+  let mode = MODES.TRADITIONAL;
+  for (const [from, next] of MODE_CHANGES[entry.name] || []) {
+    if (gaokaoYear >= from) mode = next;
+  }
+  return mode;
+}
+
+/**
+ * Track named by a label alone, e.g. 理工类 -> 理工, 艺术（历史类）-> 历史类
+ * @param {string} label - 科类 or group text
+ * @returns {string} - One of TRACKS, '' when the label names none (不限, 艺术（不分文理）...)
+ */
+function labelTrack(label) {
+  const text = String(label || '').replace(/\s+/g, '');
+  if (!text || /不限|不分/.test(text)) return '';
+  if (/物理|首选物/.test(text)) return TRACKS.PHYSICS;
+  if (/历史|首选史/.test(text)) return TRACKS.HISTORY;
+  if (/综合/.test(text)) return TRACKS.COMPREHENSIVE;
+  if (/理/.test(text)) return TRACKS.SCIENCE;
+  if (/文/.test(text)) return TRACKS.LIBERAL_ARTS;
+  return '';
+}
+
+// The 3+1+2 track of a 文理 label; the old labels carry over as physics and history first
+const REFORMED_TRACK = {
+  [TRACKS.SCIENCE]: TRACKS.PHYSICS,
+  [TRACKS.LIBERAL_ARTS]: TRACKS.HISTORY
+};
+
+/**
+ * Map a record's 科类 to the canonical track of its province and year
+ * @param {Object} values - `{ 省市, 年份, 科类, 专业组 }`
+ * @returns {Object} - `{ mode, track }`; track is '' when the label does not name one of the
+ *   mode's tracks (不限 in a 文理 or 3+1+2 province, 综合改革 in a 文理 one)
+ */
+function normalizeTrack(values) {
+  const mode = examMode(values['省市'], values['年份']);
+  const label = labelTrack(values['科类']);
+  if (!mode) return { mode: '', track: label };
+
+  // A 3+3 province has one track whatever the label says
+  if (mode === MODES.COMPREHENSIVE) return { mode, track: TRACKS.COMPREHENSIVE };
+
+  // Labels written for the other system, e.g. 理工 after the switch to 3+1+2
+  let track = mode === MODES.PHYSICS_HISTORY ? (REFORMED_TRACK[label] || label) : label;
+  // 3+1+2 groups name the first subject when 科类 does not (BUPT 物理类专业组, BJTU 物化组)
+  if (mode === MODES.PHYSICS_HISTORY && !MODE_TRACKS[mode].includes(track)) {
+    const group = String(values['专业组'] || '');
+    const fromGroup = labelTrack(group) || (/^物/.test(group) ? TRACKS.PHYSICS : /^史/.test(group) ? TRACKS.HISTORY : '');
+    track = REFORMED_TRACK[fromGroup] || fromGroup;
+  }
+  return { mode, track: MODE_TRACKS[mode].includes(track) ? track : '' };
+}
+
+module.exports = {
+  MODES,
+  TRACKS,
+  MODE_CHANGES,
+  examMode,
+  labelTrack,
+  normalizeTrack
+};
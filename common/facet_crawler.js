@@ -0,0 +1,586 @@
+/**
+ * Faceted-filter crawler for the `zsw/lnfs.html` admission platform
+ *
+ * BJTU and BUPT (and other universities hosted on the same platform) render
+ * their historical scores behind a filter bar of the form
+ * `.filter dd[data-param="zsnf|ssmc|xq|zslx|klmc|zyzm"] a`. Which facets are
+ * shown depends on the options already selected, so the crawler re-discovers
+ * the filter bar after every click and walks every combination depth-first,
+ * handing each leaf to a school-specific extractor.
+ *
+ * A school only needs to supply a config object (see `bjtu/site_config.js`)
+ * and an extractor function.
+ */
+
+const { saveToFile, consolidatePartitions, DEFAULT_OUTPUT_DIR } = require('./output');
+const { openCheckpoint } = require('./checkpoint');
+const { clickAndWait } = require('./wait');
+const { checkSelection, selectVerified } = require('./selection_check');
+const { startResponseCapture } = require('./response_capture');
+const { openTrafficArchive } = require('./traffic_archive');
+const { DEFAULT_CONCURRENCY, createRateLimiter, runPool } = require('./pool');
+const { createReporter } = require('./run_events');
+const { openRejects } = require('./rejects');
+const { failuresToRetry, openFailureLedger, retryScope } = require('./failures');
+const { openDebugBundles } = require('./debug_bundle');
+const { provinceSpellings, createProvinceCheck } = require('./provinces');
+
+// Known facet parameters and their human-readable names
+const FACET_LABELS = {
+  zsnf: '年份',
+  ssmc: '省市',
+  xq: '校区',
+  zslx: '计划类型',
+  klmc: '科类',
+  zyzm: '专业组'
+};
+
+// Facets narrowed by the shared --years/--provinces options
+const FILTERED_FACETS = {
+  years: 'zsnf',
+  provinces: 'ssmc'
+};
+
+/**
+ * Read every facet currently present in the filter bar
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @returns {Promise<Array<{param: string, label: string, options: string[]}>>} - Facets in DOM order
+ */
+async function discoverFacets(page) {
+  return page.evaluate(() => {
+    return Array.from(document.querySelectorAll('.filter dd[data-param]')).map(dd => {
+      const dt = dd.previousElementSibling;
+      const label = dt && dt.tagName === 'DT' ? dt.textContent.trim().replace(/[：:]\s*$/, '') : '';
+      const options = Array.from(dd.querySelectorAll('a'))
+        .map(a => a.textContent.trim())
+        .filter(text => text.length > 0);
+      return { param: dd.getAttribute('data-param'), label, options };
+    });
+  });
+}
+
+/**
+ * Click one option of a facet
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @param {string} param - Facet parameter, e.g. `ssmc`
+ * @param {string} value - Option text to click
+ */
+async function selectFacetOption(page, param, value) {
+  await page.evaluate((param, value) => {
+    const links = Array.from(document.querySelectorAll(`.filter dd[data-param="${param}"] a`));
+    const link = links.find(a => a.textContent.trim() === value);
+    if (link) link.click();
+    else throw new Error(`Link for "${value}" not found in facet ${param}`);
+  }, param, value);
+}
+
+/**
+ * Pick the next facet to walk: first by the configured order, then any other
+ * facet the page shows, in DOM order
+ * @param {Array} facets - Facets returned by discoverFacets
+ * @param {string[]} facetOrder - Preferred walk order
+ * @param {Object} selection - Facets already selected (param -> value)
+ * @returns {Object|null} - The next facet, or null when the combination is complete
+ */
+function pickNextFacet(facets, facetOrder, selection) {
+  const pending = facets.filter(f => f.options.length > 0 && !(f.param in selection));
+  for (const param of facetOrder) {
+    const facet = pending.find(f => f.param === param);
+    if (facet) return facet;
+  }
+  return pending[0] || null;
+}
+
+/**
+ * Build facet filters from run options
+ * @param {Object} options - Run options with optional `years` and `provinces` lists
+ * @returns {Object} - Facet parameter -> allowed option values
+ */
+function facetFilters(options) {
+  const filters = {};
+  for (const [option, param] of Object.entries(FILTERED_FACETS)) {
+    if (!options[option] || options[option].length === 0) continue;
+    // A province filter matches every spelling of the province (内蒙古/内蒙古自治区)
+    filters[param] = option === 'provinces' ? provinceSpellings(options[option]) : options[option];
+  }
+  return filters;
+}
+
+/**
+ * Wrap a driver so filtered facets only offer the allowed options; the
+ * province options are checked against the province registry on the way
+ * @param {Object} driver - Driver as for walkFacetTree
+ * @param {Object} filters - Facet parameter -> allowed option values
+ * @returns {Object} - Filtered driver
+ */
+function filterDriver(driver, filters) {
+  const checkProvinces = createProvinceCheck('the filter bar');
+  return {
+    ...driver,
+    async getFacets(selection) {
+      const facets = await driver.getFacets(selection);
+      const provinceFacet = facets.find(facet => facet.param === FILTERED_FACETS.provinces);
+      if (provinceFacet) checkProvinces(provinceFacet.options);
+      return facets.map(facet => filters[facet.param]
+        ? { ...facet, options: facet.options.filter(option => filters[facet.param].includes(option)) }
+        : facet);
+    }
+  };
+}
+
+/**
+ * Walk every facet combination depth-first
+ *
+ * The walk itself does not know how facets are read or selected; a driver
+ * supplies that, so the same walk serves the browser and the HTTP-only mode
+ * (see ./http_crawler.js).
+ * @param {Object} driver - How to talk to the site
+ * @param {Function} driver.getFacets - `(selection) => Promise<Array>` facets shown for a selection
+ * @param {Function} driver.select - `(param, value, selection) => Promise` selects one option
+ * @param {Function} driver.extract - `(selection, context) => Promise<Array>` records of one combination
+ * @param {Object} [options]
+ * @param {string[]} [options.facetOrder] - Preferred walk order of facet parameters
+ * @param {Function} [options.onFacetDone] - `(param, selection, records)` called (and awaited) when an option's subtree is finished or restored from the checkpoint
+ * @param {Function} [options.onError] - `(error, selection)` called when an option's subtree fails
+ * @param {Object} [options.checkpoint] - Checkpoint from ./checkpoint.js; finished work is skipped
+ * @param {Function} [options.scope] - `(selection) => boolean`; selections outside it are restored from
+ *   the checkpoint instead of walked (retry-failed, see ./failures.js)
+ * @param {Object} [options.start] - Selection to start from (already selected on the site)
+ * @returns {Promise<{records: Array, complete: boolean}>} - Records of the walk and whether every combination succeeded
+ */
+async function walkFacetTree(driver, options = {}) {
+  const { facetOrder = [], onFacetDone, onError, checkpoint, scope, start = {} } = options;
+
+  // Returns the subtree's records and whether every combination in it succeeded
+  async function walk(selection, depth) {
+    const indent = '  '.repeat(depth);
+    const facets = await driver.getFacets(selection);
+    const facet = pickNextFacet(facets, facetOrder, selection);
+
+    // Every facet is fixed: this is one combination, hand it to the extractor
+    if (!facet) {
+      const context = { facets: facets.map(f => f.param), depth };
+      const records = await driver.extract({ ...selection }, context);
+      if (checkpoint) checkpoint.markCombination(selection, records);
+      return { records, complete: true };
+    }
+
+    const name = facet.label || FACET_LABELS[facet.param] || facet.param;
+    console.log(`${indent}Found ${facet.options.length} options for ${name}: ${facet.options.join(', ')}`);
+
+    const records = [];
+    let complete = true;
+    for (let i = 0; i < facet.options.length; i++) {
+      const value = facet.options[i];
+      const nextSelection = { ...selection, [facet.param]: value };
+
+      if (checkpoint && checkpoint.isDone(nextSelection)) {
+        const stored = checkpoint.getRecords(nextSelection);
+        console.log(`${indent}Skipping ${name} ${i+1}/${facet.options.length}: ${value} (done in checkpoint, ${stored.length} records)`);
+        records.push(...stored);
+        if (onFacetDone) await onFacetDone(facet.param, nextSelection, stored);
+        continue;
+      }
+
+      if (scope && !scope(nextSelection)) {
+        // Not among the failures being retried: keep what the last run stored
+        const stored = checkpoint ? checkpoint.getRecords(nextSelection) : [];
+        records.push(...stored);
+        if (onFacetDone) await onFacetDone(facet.param, nextSelection, stored);
+        continue;
+      }
+
+      console.log(`${indent}Processing ${name} ${i+1}/${facet.options.length}: ${value}`);
+      try {
+        await driver.select(facet.param, value, nextSelection);
+
+        const subtree = await walk(nextSelection, depth + 1);
+        records.push(...subtree.records);
+        if (subtree.complete) {
+          if (checkpoint) checkpoint.markFinished(nextSelection);
+        } else {
+          complete = false;
+        }
+        if (onFacetDone) await onFacetDone(facet.param, nextSelection, subtree.records);
+      } catch (error) {
+        complete = false;
+        console.error(`${indent}Error processing ${name} ${value}:`, error.message);
+        if (onError) onError(error, nextSelection);
+      }
+    }
+    return { records, complete };
+  }
+
+  return walk(start, Object.keys(start).length);
+}
+
+/**
+ * Walk every facet combination depth-first, see walkFacetTree
+ * @returns {Promise<Array>} - All extracted records
+ */
+async function walkFacets(driver, options = {}) {
+  const result = await walkFacetTree(driver, options);
+  return result.records;
+}
+
+/**
+ * Split the walk into independent units for the worker pool: every selection
+ * down to (and including) the partition facet, e.g. year + province for BJTU.
+ * Facets above the partition facet are clicked through to discover its options.
+ * @param {Object} driver - Driver as for walkFacetTree
+ * @param {string[]} facetOrder - Preferred walk order of facet parameters
+ * @param {string} [partitionFacet] - Facet whose options end a unit; without one the whole walk is one unit
+ * @returns {Promise<Array<Object>>} - Unit selections in walk order
+ */
+async function listUnits(driver, facetOrder, partitionFacet) {
+  if (!partitionFacet) return [{}];
+
+  async function expand(selection) {
+    const facets = await driver.getFacets(selection);
+    const facet = pickNextFacet(facets, facetOrder, selection);
+    // The partition facet never showed up on this branch: the branch is one unit
+    if (!facet) return [selection];
+
+    const units = [];
+    for (const value of facet.options) {
+      const nextSelection = { ...selection, [facet.param]: value };
+      if (facet.param === partitionFacet) {
+        units.push(nextSelection);
+        continue;
+      }
+      try {
+        await driver.select(facet.param, value, nextSelection);
+        units.push(...await expand(nextSelection));
+      } catch (error) {
+        console.error(`Error listing units under ${FACET_LABELS[facet.param] || facet.param} ${value}:`, error.message);
+      }
+    }
+    return units;
+  }
+
+  return expand({});
+}
+
+/**
+ * Walk every facet combination on the page
+ * @param {import('puppeteer').Page} page - Puppeteer page, already on the lnfs page
+ * @param {Object} options - Crawl options
+ * @param {string[]} [options.facetOrder] - Preferred walk order of facet parameters
+ * @param {Function} options.extract - `(page, selection, context) => Promise<Array>` extractor for one combination;
+ *   `context.reject({ reason, headers, cells })` quarantines a row it cannot use
+ * @param {Function} [options.onFacetDone] - `(param, selection, records)` called when an option's subtree is finished
+ * @param {number} [options.waitTimeout] - Upper bound in milliseconds for the page to settle after a click
+ * @param {Object} [options.checkpoint] - Checkpoint from ./checkpoint.js; finished work is skipped
+ * @param {Object} [options.capture] - Response capture from ./response_capture.js
+ * @param {Function} [options.fromResponses] - `(payloads, selection) => Array` maps captured JSON; DOM extraction is the fallback
+ * @param {Object} [options.traffic] - Recorder from ./traffic_archive.js; responses are tagged with the selection
+ * @param {Object} [options.rejects] - Sidecar from ./rejects.js for rows the extractor cannot use
+ * @returns {Promise<Array>} - All extracted records
+ */
+async function crawlFacets(page, options) {
+  const { facetOrder = [], onFacetDone, checkpoint } = options;
+  return walkFacets(browserDriver(page, options), { facetOrder, onFacetDone, checkpoint });
+}
+
+/**
+ * Driver for walkFacetTree that clicks through the filter bar of a live page,
+ * redoing a click the page does not show (see ./selection_check.js)
+ * @param {import('puppeteer').Page} page - Puppeteer page, already on the lnfs page
+ * @param {Object} options - `extract`, `waitTimeout`, `capture`, `fromResponses`, `traffic`, `rejects` as for crawlFacets
+ * @param {Object} [options.limiter] - Rate limiter from ./pool.js, waited on before every click
+ * @param {string} [options.url] - URL whose host the rate limit applies to
+ * @param {Object} [options.debug] - Debug bundles from ./debug_bundle.js; a failed selection's bundle
+ *   paths are left on the error as `error.artifacts`
+ * @returns {Object} - Driver
+ */
+function browserDriver(page, options) {
+  const { extract, waitTimeout, capture, fromResponses, traffic, rejects, limiter, url, debug } = options;
+
+  // Save the page when an action on it fails (--debug)
+  async function withBundle(selection, action) {
+    try {
+      return await action();
+    } catch (error) {
+      if (debug && !error.artifacts) error.artifacts = await debug.save(page, selection, error.message);
+      throw error;
+    }
+  }
+
+  return {
+    getFacets: () => discoverFacets(page),
+
+    async select(param, value, selection) {
+      const active = { selector: `.filter dd[data-param="${param}"] a`, text: value };
+      // The table's 年份/省市 columns must show the selected year and province
+      const expect = {};
+      for (const [selected, option] of Object.entries(selection)) {
+        if (FACET_LABELS[selected]) expect[FACET_LABELS[selected]] = option;
+      }
+
+      await withBundle(selection, () => selectVerified(async () => {
+        if (limiter) await limiter.wait(url);
+        // Only the responses of this click belong to the next combination
+        if (capture) capture.clear();
+        if (traffic) traffic.setContext(selection);
+
+        // Wait for the table's response and the clicked option to become active
+        await clickAndWait(page, () => selectFacetOption(page, param, value), { timeout: waitTimeout, active });
+      }, () => checkSelection(page, { active, expect }), { label: `${FACET_LABELS[param] || param} ${value}` }));
+    },
+
+    // Prefer the captured JSON of the last click, fall back to the rendered table
+    async extract(selection, context) {
+      const records = await withBundle(selection, async () => {
+        if (capture && fromResponses) {
+          const payloads = await capture.take();
+          const mapped = fromResponses(payloads, { ...selection });
+          if (mapped.length > 0) {
+            console.log(`${'  '.repeat(context.depth)}Mapped ${mapped.length} records from ${payloads.length} captured responses`);
+            return mapped;
+          }
+          console.log(`${'  '.repeat(context.depth)}No usable response captured, falling back to DOM extraction`);
+        }
+        // The extractor hands rows it cannot use to `context.reject`
+        const reject = rejects ? rejects.rejecter(selection) : () => {};
+        return extract(page, selection, { ...context, reject });
+      });
+      if (debug && records.length === 0) await debug.save(page, selection, 'No rows extracted');
+      return records;
+    }
+  };
+}
+
+/**
+ * File name of one partition: `<output file>.<province>`, or
+ * `<output file>.<province>.<year>` when the year is walked above the
+ * partition facet (BJTU), so one year's file never replaces another's
+ * @param {Object} config - Site config
+ * @param {Object} selection - Selection down to the partition facet
+ * @returns {string} - File name inside the output directory
+ */
+function partitionFile(config, selection) {
+  const parts = [selection[config.partitionFacet]];
+  if (config.partitionFacet !== 'zsnf' && selection.zsnf) parts.push(selection.zsnf);
+  return [config.outputFile, ...parts].join('.');
+}
+
+/**
+ * Save hook for walkFacets: one file per partition (usually each province, or province and year)
+ * @param {Object} config - Site config
+ * @param {string} [dir] - Output directory (default: ./output)
+ * @returns {Function} - onFacetDone callback
+ */
+function savePartitions(config, dir = DEFAULT_OUTPUT_DIR) {
+  return (param, selection, records) => {
+    if (param !== config.partitionFacet || records.length === 0) return;
+    const file = partitionFile(config, selection);
+    saveToFile(records, file, dir);
+    console.log(`Saved ${records.length} records to ${file}`);
+  };
+}
+
+/**
+ * Save the records of a whole run, and rebuild the per-province files from
+ * the per-year partitions
+ * @param {Object} config - Site config
+ * @param {Array} allResults - All extracted records
+ * @param {string} [dir] - Output directory (default: ./output)
+ */
+function saveAllResults(config, allResults, dir = DEFAULT_OUTPUT_DIR) {
+  if (allResults.length > 0) {
+    saveToFile(allResults, config.outputFile, dir);
+    console.log(`Saved all ${allResults.length} records to ${config.outputFile}`);
+  } else {
+    console.log('No data was extracted');
+  }
+  consolidatePartitions(config.outputFile, dir);
+}
+
+/**
+ * Open a page on the school's lnfs page, ready to walk
+ * @param {Object} browser - Puppeteer browser
+ * @param {Object} config - Site config
+ * @param {Object} [archive] - Traffic recorder/replayer from ./traffic_archive.js
+ * @param {Object} [debug] - Debug bundles from ./debug_bundle.js, watching the page from the start
+ * @returns {Promise<{page: Object, traffic: Object|null}>} - The page and its traffic handle
+ */
+async function openLnfsPage(browser, config, archive, debug) {
+  const page = await browser.newPage();
+  if (debug) debug.watch(page);
+  if (config.viewport) {
+    await page.setViewport(config.viewport);
+  }
+
+  // Add event listeners for debugging
+  page.on('console', msg => {
+    if (msg.type() === 'error' || msg.type() === 'warning') {
+      console.log(`PAGE ${msg.type().toUpperCase()}:`, msg.text());
+    }
+  });
+  page.on('pageerror', error => console.log('PAGE ERROR:', error.message));
+
+  const traffic = archive ? await archive.attach(page) : null;
+
+  // Navigate to the target URL
+  console.log(`Navigating to ${config.targetUrl}`);
+  await page.goto(config.targetUrl, {
+    waitUntil: 'networkidle2',
+    timeout: 60000
+  });
+  console.log('Page loaded successfully');
+
+  console.log('Waiting for filter links to load...');
+  await page.waitForSelector('.filter dd[data-param] a', { timeout: 30000 });
+
+  return { page, traffic };
+}
+
+/**
+ * Launch a browser, open the school's lnfs page and crawl every combination,
+ * saving one file per partition facet value and one file for all records.
+ * With a concurrency above 1 the partition units (e.g. provinces) are spread
+ * over that many pages, all sharing one per-host rate limit.
+ * @param {Object} puppeteer - The school's puppeteer module
+ * @param {Object} config - Site config, see `bjtu/site_config.js`
+ * @param {Object} [options]
+ * @param {boolean} [options.resume] - Continue from the last checkpoint
+ * @param {boolean} [options.capture] - Map the sites' JSON responses instead of the DOM where possible
+ * @param {string} [options.traffic] - 'record' saves the site traffic, 'replay' serves it instead of the network
+ * @param {number} [options.concurrency] - Number of pages crawling in parallel (default: 1)
+ * @param {string[]} [options.years] - Only crawl these years
+ * @param {string[]} [options.provinces] - Only crawl these provinces
+ * @param {string} [options.outDir] - Output directory (default: ./output)
+ * @param {boolean} [options.retryFailed] - Only walk the units in the last run's failure ledger, see ./failures.js
+ * @param {boolean} [options.debug] - Save a debug bundle of failed or empty extractions, see ./debug_bundle.js
+ * @param {boolean} [options.headless] - Hide the browser window (default: true)
+ * @param {Object} [options.events] - EventEmitter for records, progress and errors, see ./run_events.js
+ * @param {Function} [options.sink] - `(record, context)` awaited for every record, see ./run_events.js
+ * @returns {Promise<Array>} - All extracted records
+ */
+async function runFacetScraper(puppeteer, config, options = {}) {
+  const { concurrency = DEFAULT_CONCURRENCY, outDir = DEFAULT_OUTPUT_DIR, headless = true } = options;
+  console.log(`Starting production scraper for ${config.school}...`);
+
+  // Read the last run's failures before this run's ledger replaces them
+  const retry = failuresToRetry(config.outputFile, options);
+  if (retry && retry.length === 0) {
+    console.log('No failed units to retry');
+    return [];
+  }
+  const scope = retry ? retryScope(retry) : null;
+
+  console.log('Launching browser...');
+  const browser = await puppeteer.launch({
+    headless,  // Headless unless debugging with --headful
+    args: config.launchArgs || ['--no-sandbox']
+  });
+  console.log('Browser launched successfully');
+
+  const archive = openTrafficArchive(config.outputFile, options.traffic, outDir);
+  const limiter = createRateLimiter(config.requestInterval);
+  const filters = facetFilters(options);
+  const ledger = openFailureLedger(config.outputFile, { school: config.school, dir: outDir });
+  const reporter = createReporter(config.school, options, ledger);
+  const rejects = openRejects(config.outputFile, { resume: options.resume, dir: outDir });
+  const debug = openDebugBundles(options, outDir);
+  try {
+    const checkpoint = openCheckpoint(config.outputFile, { resume: options.resume, dir: outDir });
+
+    // One page (and driver) per worker; the first one also lists the units
+    const drivers = [];
+    async function driverFor(workerId) {
+      if (!drivers[workerId]) {
+        const { page, traffic } = await openLnfsPage(browser, config, archive, debug);
+        const capture = options.capture && config.fromResponses
+          ? startResponseCapture(page, { urlPattern: config.responseUrlPattern })
+          : null;
+        drivers[workerId] = filterDriver(browserDriver(page, {
+          extract: config.extract,
+          waitTimeout: config.waitTimeout,
+          capture,
+          fromResponses: config.fromResponses,
+          traffic,
+          rejects,
+          limiter,
+          url: config.targetUrl,
+          debug
+        }), filters);
+      }
+      return drivers[workerId];
+    }
+    if (options.capture && config.fromResponses) {
+      console.log('Response capture mode enabled, DOM extraction is the fallback');
+    }
+
+    const units = await listUnits(await driverFor(0), config.facetOrder, config.partitionFacet);
+    console.log(`Split the crawl into ${units.length} units, ${Math.min(concurrency, units.length)} workers`);
+
+    const unitResults = await runPool(units, concurrency, async (unit, index, workerId) => {
+      const label = Object.values(unit).join(' / ') || config.school;
+      if (checkpoint.isDone(unit) || (scope && !scope(unit))) {
+        const stored = checkpoint.getRecords(unit);
+        console.log(`[worker ${workerId + 1}] Skipping unit ${index + 1}/${units.length}: ${label} (${checkpoint.isDone(unit) ? 'done in checkpoint' : 'did not fail'}, ${stored.length} records)`);
+        await reporter.unitDone(unit, stored, units.length);
+        return stored;
+      }
+
+      console.log(`[worker ${workerId + 1}] Processing unit ${index + 1}/${units.length}: ${label}`);
+      const driver = await driverFor(workerId);
+
+      // Bring this worker's page to the unit's selection, then walk below it
+      const selection = {};
+      for (const [param, value] of Object.entries(unit)) {
+        selection[param] = value;
+        await driver.select(param, value, { ...selection });
+      }
+      const result = await walkFacetTree(driver, {
+        facetOrder: config.facetOrder,
+        checkpoint,
+        scope,
+        start: unit,
+        onError: (error, selection) => reporter.error(error, selection, error.artifacts)
+      });
+
+      if (result.complete) checkpoint.markFinished(unit);
+      // Save intermediate results after each partition
+      if (config.partitionFacet in unit) {
+        savePartitions(config, outDir)(config.partitionFacet, unit, result.records);
+      }
+      await reporter.unitDone(unit, result.records, units.length);
+      return result.records;
+    }, (error, unit) => reporter.error(error, unit, error.artifacts));
+
+    const allResults = unitResults.flatMap(records => records || []);
+    saveAllResults(config, allResults, outDir);
+
+    return allResults;
+  } catch (error) {
+    console.error('Error during scraping:', error);
+    reporter.error(error, null);
+    throw error;
+  } finally {
+    rejects.close();
+    ledger.close();
+    if (archive) archive.close();
+    await browser.close();
+    console.log('Browser closed');
+  }
+}
+
+module.exports = {
+  FACET_LABELS,
+  discoverFacets,
+  selectFacetOption,
+  pickNextFacet,
+  facetFilters,
+  filterDriver,
+  walkFacetTree,
+  walkFacets,
+  listUnits,
+  browserDriver,
+  crawlFacets,
+  partitionFile,
+  savePartitions,
+  saveAllResults,
+  runFacetScraper
+};
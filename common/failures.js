@@ -0,0 +1,127 @@
+/**
+ * Failure ledger
+ *
+ * Every unit that fails during a run (a facet combination, a province, a
+ * year, a PDF file ...) is written to `<output file>.failures.json` next to
+ * the output:
+ *
+ *   [{ "school": "...", "unit": { facet values }, "error": "...", "time": "2024-06-30T12:00:00.000Z",
+ *      "screenshot": null, "html": null }]
+ *
+ * `gaokao retry-failed <school>` reads the ledger of the last run and walks
+ * only the failed units again, restoring everything else from the checkpoint
+ * so the output files are rebuilt complete (see retryScope).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_OUTPUT_DIR } = require('./output');
+
+/**
+ * Path of a run's ledger
+ * @param {string} outputFile - Output file name of the scraper, e.g. bjtu_admission_scores.json
+ * @param {string} [dir] - Output directory (default: ./output)
+ * @returns {string}
+ */
+function failuresPath(outputFile, dir = DEFAULT_OUTPUT_DIR) {
+  return path.join(dir, `${outputFile}.failures.json`);
+}
+
+/**
+ * Read the ledger of the last run
+ * @param {string} outputFile - Output file name of the scraper
+ * @param {string} [dir] - Output directory (default: ./output)
+ * @returns {Array} - Ledger entries, empty when there is no ledger
+ */
+function readFailures(outputFile, dir = DEFAULT_OUTPUT_DIR) {
+  const filePath = failuresPath(outputFile, dir);
+  if (!fs.existsSync(filePath)) return [];
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Ledger entries a retry-failed run walks again
+ * @param {string} outputFile - Output file name of the scraper
+ * @param {Object} options - Run options; only `retryFailed` and `outDir` are read
+ * @returns {Array|null} - The last run's entries, null when the run is not a retry
+ */
+function failuresToRetry(outputFile, options) {
+  if (!options.retryFailed) return null;
+  const entries = readFailures(outputFile, options.outDir);
+  console.log(`Retrying ${entries.length} failed units from ${failuresPath(outputFile, options.outDir)}`);
+  return entries;
+}
+
+/**
+ * Start the ledger of a run; the previous run's ledger is replaced, so read
+ * it first when retrying
+ * @param {string} outputFile - Output file name of the scraper
+ * @param {Object} [options]
+ * @param {string} [options.school] - School name stored with every entry
+ * @param {string} [options.dir] - Output directory (default: ./output)
+ * @returns {Object} - Ledger with record(error, unit, artifacts) and close()
+ */
+function openFailureLedger(outputFile, options = {}) {
+  const { school = '', dir = DEFAULT_OUTPUT_DIR } = options;
+  const filePath = failuresPath(outputFile, dir);
+  const entries = [];
+
+  function save() {
+    fs.mkdirSync(dir, { recursive: true });
+    // Write to a temporary file first so a crash never leaves a truncated ledger
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(entries, null, 2), 'utf8');
+    fs.renameSync(tmpPath, filePath);
+  }
+  save();
+
+  return {
+    filePath,
+
+    /**
+     * Add one failed unit
+     * @param {Error} error - What went wrong
+     * @param {Object|null} unit - Selection that failed, null for the whole run
+     * @param {Object} [artifacts] - `{ screenshot, html }` paths saved for the failure
+     */
+    record(error, unit, artifacts = {}) {
+      entries.push({
+        school,
+        unit: unit || {},
+        error: error.message,
+        time: new Date().toISOString(),
+        screenshot: artifacts.screenshot || null,
+        html: artifacts.html || null
+      });
+      save();
+    },
+
+    close() {
+      if (entries.length > 0) {
+        console.log(`${entries.length} units failed, see ${filePath}; run retry-failed to retry only those`);
+      }
+    }
+  };
+}
+
+/**
+ * Which selections a retry run walks: a selection is in scope when it agrees
+ * with a failed unit on every facet both have, i.e. it lies on the way to
+ * the failed unit or below it. A whole-run failure (empty unit) puts
+ * everything in scope.
+ * @param {Array} entries - Ledger entries from readFailures
+ * @returns {Function} - `(selection) => boolean`
+ */
+function retryScope(entries) {
+  const units = entries.map(entry => entry.unit || {});
+  return selection => units.some(unit =>
+    Object.entries(unit).every(([name, value]) => !(name in selection) || selection[name] === value));
+}
+
+module.exports = {
+  failuresPath,
+  readFailures,
+  failuresToRetry,
+  openFailureLedger,
+  retryScope
+};
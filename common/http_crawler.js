@@ -0,0 +1,335 @@
+/**
+ * HTTP-only mode for the `zsw/lnfs.html` admission platform
+ *
+ * Walks the same facet combinations as ./facet_crawler.js without a
+ * browser. The lnfs page itself is static, its tables (and the options of
+ * dependent facets) are loaded by XHR queries that carry the selected facets
+ * as form fields; this mode sends those queries directly. The endpoints and
+ * which field carries which facet are pinned in the site config; a
+ * recording of the browser mode (`--record`, see ./traffic_archive.js)
+ * replaces them when the site has changed its queries. Facets come from
+ * the answers (option lists in the JSON, or a filter bar in HTML) and the
+ * landing page's filter bar; records come from the school's own mapping
+ * functions, so both modes produce the same output.
+ *
+ * axios and cheerio are handed in by the school script, like puppeteer is
+ * for the browser mode.
+ */
+
+const { openCheckpoint } = require('./checkpoint');
+const { DEFAULT_OUTPUT_DIR } = require('./output');
+const { FACET_LABELS, walkFacets, facetFilters, filterDriver, savePartitions, saveAllResults } = require('./facet_crawler');
+const { CACHE_BUSTER_PARAMS, archiveDir, readIndex } = require('./traffic_archive');
+const { createRateLimiter } = require('./pool');
+const { createReporter } = require('./run_events');
+const { openRejects } = require('./rejects');
+const { failuresToRetry, openFailureLedger, retryScope } = require('./failures');
+
+const DEFAULT_TIMEOUT = 30000;
+// Minimum gap between two requests so the HTTP mode stays as polite as the browser
+const DEFAULT_REQUEST_DELAY = 500;
+
+/**
+ * Read the filter bar from a rendered page
+ * @param {Function} $ - Loaded cheerio document
+ * @returns {Array<{param: string, label: string, options: string[]}>} - Facets in DOM order
+ */
+function facetsFromHtml($) {
+  return $('.filter dd[data-param]').toArray().map(dd => {
+    const dt = $(dd).prev('dt');
+    const label = dt.length > 0 ? dt.text().trim().replace(/[：:]\s*$/, '') : '';
+    const options = $(dd).find('a').toArray()
+      .map(a => $(a).text().trim())
+      .filter(text => text.length > 0);
+    return { param: $(dd).attr('data-param'), label, options };
+  });
+}
+
+/**
+ * Read facet option lists from a JSON answer: any top-level key named like a
+ * facet parameter whose value is a list of strings or `{ name }`-like objects
+ * @param {*} data - Parsed JSON
+ * @returns {Array<{param: string, label: string, options: string[]}>} - Facets
+ */
+function facetsFromJson(data) {
+  const root = data && typeof data === 'object' && data.data && typeof data.data === 'object' ? data.data : data;
+  if (!root || typeof root !== 'object' || Array.isArray(root)) return [];
+
+  return Object.keys(FACET_LABELS)
+    .filter(param => Array.isArray(root[param]))
+    .map(param => ({
+      param,
+      label: '',
+      options: root[param]
+        .map(option => typeof option === 'object' && option !== null
+          ? option.name || option.value || option[param] || ''
+          : option)
+        .map(option => String(option).trim())
+        .filter(text => text.length > 0)
+    }));
+}
+
+/**
+ * Form fields of a recorded request: its query string and its body
+ * (form-urlencoded or a flat JSON object)
+ * @param {Object} entry - Entry of a recording's index
+ * @returns {Object} - `{ fields, format }`, format 'form' or 'json'
+ */
+function requestFields(entry) {
+  const fields = {};
+  new URL(entry.url).searchParams.forEach((value, name) => { fields[name] = value; });
+
+  // Recordings made before the body was kept have it at the end of the key (`METHOD url body`)
+  const body = entry.postData !== undefined ? entry.postData : entry.key.split(' ').slice(2).join(' ');
+  if (/^\s*\{/.test(body)) {
+    try {
+      for (const [name, value] of Object.entries(JSON.parse(body))) {
+        if (value === null || typeof value !== 'object') fields[name] = String(value);
+      }
+      return { fields, format: 'json' };
+    } catch (error) {
+      // Not JSON after all, read it as a form
+    }
+  }
+  new URLSearchParams(body).forEach((value, name) => { fields[name] = value; });
+  return { fields, format: 'form' };
+}
+
+/**
+ * Learn the query endpoints of the lnfs page from a recording of the
+ * browser mode: the XHR requests made after a facet was selected, and for
+ * each facet the form field that held the selected option
+ * @param {Array<Object>} entries - Index entries of a recording, see ./traffic_archive.js
+ * @returns {Array<Object>} - Endpoints `{ url, method, format, params, fields }`: params are the fields sent
+ *   unchanged in every request, fields maps a facet parameter to the form field carrying it
+ */
+function endpointsFromTraffic(entries) {
+  const byEndpoint = new Map();
+  for (const entry of entries) {
+    const facets = entry.facets || {};
+    if (!['xhr', 'fetch'].includes(entry.resourceType) || entry.status >= 400 || Object.keys(facets).length === 0) continue;
+
+    const url = new URL(entry.url);
+    url.search = '';
+    url.hash = '';
+    const id = `${entry.method} ${url}`;
+    const { fields, format } = requestFields(entry);
+    if (!byEndpoint.has(id)) byEndpoint.set(id, { url: url.toString(), method: entry.method.toLowerCase(), format, requests: [] });
+    byEndpoint.get(id).requests.push({ facets, fields });
+  }
+
+  const endpoints = [];
+  for (const { requests, ...endpoint } of byEndpoint.values()) {
+    // A facet is carried by the field holding its option in most requests made with it selected;
+    // a response arriving after the next click is tagged with the wrong selection
+    const fieldOf = {};
+    const params = [...new Set(requests.flatMap(request => Object.keys(request.facets)))];
+    for (const param of params) {
+      const carrying = requests.filter(request => param in request.facets);
+      const names = [...new Set(carrying.flatMap(request => Object.keys(request.fields)))];
+      const counts = names.map(name => carrying.filter(request => request.fields[name] === request.facets[param]).length);
+      const best = Math.max(0, ...counts);
+      if (best * 2 > carrying.length) fieldOf[param] = names[counts.indexOf(best)];
+    }
+    // Requests that carry no facet (statistics, captchas ...) are not queries of the selection
+    if (Object.keys(fieldOf).length === 0) continue;
+
+    const carried = Object.values(fieldOf);
+    const constant = {};
+    for (const [name, value] of Object.entries(requests[0].fields)) {
+      if (carried.includes(name) || CACHE_BUSTER_PARAMS.includes(name)) continue;
+      if (requests.every(request => request.fields[name] === value)) constant[name] = value;
+    }
+    endpoints.push({ ...endpoint, params: constant, fields: fieldOf });
+  }
+  return endpoints;
+}
+
+/**
+ * Query endpoints of a school: the ones pinned in `http.endpoints`, unless a
+ * recording of the browser mode shows what the page calls now
+ * @param {Object} config - Site config
+ * @param {string} outDir - Output directory holding the recording
+ * @returns {Array<Object>} - Endpoints, see endpointsFromTraffic
+ */
+function queryEndpoints(config, outDir) {
+  const dir = archiveDir(config.outputFile, outDir);
+  const recorded = endpointsFromTraffic(readIndex(dir));
+  if (recorded.length > 0) {
+    console.log(`Using the query endpoints recorded in ${dir}`);
+    return recorded;
+  }
+
+  const pinned = (config.http && config.http.endpoints) || [];
+  if (pinned.length === 0) {
+    throw new Error(`No query endpoints known for ${config.school}: set http.endpoints in site_config.js ` +
+      `or record the browser mode once (--record, saved to ${dir})`);
+  }
+  return pinned;
+}
+
+/**
+ * Fetch and crawl every combination over plain HTTP, saving one file per
+ * partition facet value and one file for all records (same files as the
+ * browser mode)
+ * @param {Object} http - The school's HTTP modules
+ * @param {Object} http.axios - axios
+ * @param {Object} http.cheerio - cheerio
+ * @param {Object} config - Site config, see `bjtu/site_config.js`
+ * @param {Function} config.extractHtml - `($, selection, { reject }) => Array` records from a rendered page
+ * @param {Function} [config.fromResponses] - `(payloads, selection) => Array` records from JSON answers
+ * @param {Object} [config.http] - `{ endpoints, delay, timeout }`; endpoints as returned by
+ *   endpointsFromTraffic, replaced by the ones of a recording when there is one
+ * @param {Object} [options]
+ * @param {boolean} [options.resume] - Continue from the last checkpoint
+ * @param {string[]} [options.years] - Only crawl these years
+ * @param {string[]} [options.provinces] - Only crawl these provinces
+ * @param {string} [options.outDir] - Output directory (default: ./output)
+ * @param {boolean} [options.retryFailed] - Only walk the units in the last run's failure ledger, see ./failures.js
+ * @param {Object} [options.events] - EventEmitter for records, progress and errors, see ./run_events.js
+ * @param {Function} [options.sink] - `(record, context)` awaited for every record, see ./run_events.js
+ * @returns {Promise<Array>} - All extracted records
+ */
+async function runHttpScraper({ axios, cheerio }, config, options = {}) {
+  const { outDir = DEFAULT_OUTPUT_DIR } = options;
+  const { delay = DEFAULT_REQUEST_DELAY, timeout = DEFAULT_TIMEOUT } = config.http || {};
+
+  console.log(`Starting HTTP-only scraper for ${config.school}...`);
+
+  // Read the last run's failures before this run's ledger replaces them
+  const retry = failuresToRetry(config.outputFile, options);
+  if (retry && retry.length === 0) {
+    console.log('No failed units to retry');
+    return [];
+  }
+  const endpoints = queryEndpoints(config, outDir);
+  for (const endpoint of endpoints) {
+    const carried = Object.entries(endpoint.fields).map(([param, field]) => `${param} -> ${field}`);
+    console.log(`Querying ${endpoint.method.toUpperCase()} ${endpoint.url} (${carried.join(', ')})`);
+  }
+
+  const client = axios.create({
+    timeout,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Referer': config.targetUrl
+    },
+    // Keep the raw body, the answer may be HTML or JSON
+    responseType: 'text',
+    transformResponse: [data => data]
+  });
+  const limiter = createRateLimiter(delay);
+
+  // Send one endpoint the selection's facets, answering `{ url, data }` for JSON or `{ url, $ }` for HTML
+  async function query(endpoint, selection) {
+    const fields = { ...endpoint.params };
+    for (const [param, value] of Object.entries(selection)) {
+      if (endpoint.fields[param]) fields[endpoint.fields[param]] = value;
+    }
+
+    await limiter.wait(endpoint.url);
+    // Sent like the page's own XHR
+    const headers = { 'X-Requested-With': 'XMLHttpRequest' };
+    let response;
+    if (endpoint.method === 'post') {
+      const json = endpoint.format === 'json';
+      headers['Content-Type'] = json ? 'application/json; charset=UTF-8' : 'application/x-www-form-urlencoded; charset=UTF-8';
+      response = await client.post(endpoint.url, json ? JSON.stringify(fields) : new URLSearchParams(fields).toString(), { headers });
+    } else {
+      response = await client.get(endpoint.url, { params: fields, headers });
+    }
+
+    const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+    try {
+      return { url: endpoint.url, data: JSON.parse(body) };
+    } catch (error) {
+      return { url: endpoint.url, $: cheerio.load(body) };
+    }
+  }
+
+  // The landing page's filter bar, for facets no answer lists; fetched once
+  let landingFacets = null;
+  async function fetchLandingFacets() {
+    if (!landingFacets) {
+      await limiter.wait(config.targetUrl);
+      const response = await client.get(config.targetUrl);
+      landingFacets = facetsFromHtml(cheerio.load(String(response.data)));
+    }
+    return landingFacets;
+  }
+
+  // Each selection is queried once: its facets and its tables come from the same answers
+  let last = { key: null, answers: null };
+  async function fetchSelection(selection) {
+    const key = JSON.stringify(selection);
+    if (last.key === key) return last.answers;
+
+    const answers = [];
+    for (const endpoint of endpoints) answers.push(await query(endpoint, selection));
+    last = { key, answers };
+    return answers;
+  }
+
+  const checkpoint = openCheckpoint(config.outputFile, { resume: options.resume, dir: outDir });
+  const ledger = openFailureLedger(config.outputFile, { school: config.school, dir: outDir });
+  const reporter = createReporter(config.school, options, ledger);
+  const rejects = openRejects(config.outputFile, { resume: options.resume, dir: outDir });
+  const savePartition = savePartitions(config, outDir);
+
+  try {
+    const allResults = await walkFacets(filterDriver({
+      async getFacets(selection) {
+        const answers = await fetchSelection(selection);
+        const answered = answers.flatMap(answer => answer.$ ? facetsFromHtml(answer.$) : facetsFromJson(answer.data));
+        const params = answered.map(facet => facet.param);
+        return [...(await fetchLandingFacets()).filter(facet => !params.includes(facet.param)), ...answered];
+      },
+
+      // Selecting is just adding the parameter; the next query carries it
+      async select() {},
+
+      async extract(selection) {
+        const answers = await fetchSelection(selection);
+        const payloads = answers.filter(answer => !answer.$);
+        if (payloads.length > 0 && config.fromResponses) {
+          const records = config.fromResponses(payloads, selection);
+          if (records.length > 0) return records;
+        }
+        const pages = answers.filter(answer => answer.$);
+        if (pages.length === 0 && !config.fromResponses) {
+          console.log('JSON answers but no response mapping configured, skipping');
+        }
+        return pages.flatMap(answer => config.extractHtml(answer.$, selection, { reject: rejects.rejecter(selection) }));
+      }
+    }, facetFilters(options)), {
+      facetOrder: config.facetOrder,
+      checkpoint,
+      scope: retry ? retryScope(retry) : null,
+      // Save intermediate results after each partition; a partition is also a unit for the run events
+      async onFacetDone(param, selection, records) {
+        savePartition(param, selection, records);
+        if (param === config.partitionFacet) await reporter.unitDone(selection, records, null);
+      },
+      onError: (error, selection) => reporter.error(error, selection)
+    });
+
+    // Without a partition facet the whole run is one unit
+    if (!config.partitionFacet) await reporter.unitDone({}, allResults, 1);
+    saveAllResults(config, allResults, outDir);
+    return allResults;
+  } catch (error) {
+    console.error('Error during scraping:', error);
+    reporter.error(error, null);
+    throw error;
+  } finally {
+    rejects.close();
+    ledger.close();
+  }
+}
+
+module.exports = {
+  facetsFromHtml,
+  facetsFromJson,
+  endpointsFromTraffic,
+  runHttpScraper
+};
@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/**
+ * Per-school normalizers into the canonical record (see ./schema.js)
+ *
+ * Each school declares which of its source fields map to which canonical
+ * field. Fields without a mapping, and the table columns the scrapers kept
+ * under `extras`, are kept under `未映射字段` instead of being dropped.
+ * Scores, ranks, plan counts and control lines are typed as numbers or null
+ * (see ./typing.js); values that cannot be converted keep their text under
+ * `无法转换字段`. Placeholders in text fields become empty. Provinces get their canonical name and GB/T 2260 code
+ * (see ./provinces.js); a 省市 that is not a province moves to `招生类别`.
+ * 科类 becomes the track of the province's exam mode in that year (see
+ * ./exam_modes.js), the school's own label stays in `科类原文`. 专业组 labels
+ * are parsed into a group code and `选科要求` (see ./subject_requirements.js);
+ * the command line lists the labels that could not be read.
+ *
+ * Usage:
+ * node common/normalize.js --input=FILE [options]
+ *
+ * Options:
+ *   --input=FILE       Scraper output file (JSON lines or .pretty array)
+ *   --school=CODE      bjtu, bupt, buaa, xidian or bnu (default: from 学校 field)
+ *   --output=FILE      Output file name (default: <input>.normalized)
+ *   --help             Show help information
+ */
+
+const path = require('path');
+const { SCHOOLS, NUMERIC_FIELDS, UNMAPPED_SECTION, INVALID_SECTION, createRecord, schoolCodeFromName } = require('./schema');
+const { typeFields, toText } = require('./typing');
+const { findProvince, classifySource } = require('./provinces');
+const { normalizeTrack } = require('./exam_modes');
+const { STATUS, parseGroup } = require('./subject_requirements');
+const { saveToFile, readRecords } = require('./output');
+const { EXTRAS_FIELD } = require('./table_mapping');
+
+// Source field -> canonical field, per school
+const SCHOOL_FIELD_MAPS = {
+  bjtu: {
+    '学校': '学校',
+    '校区': '校区',
+    '年份': '年份',
+    '省市': '省市',
+    '计划类型': '计划类型',
+    '科类': '科类',
+    '专业组/科目类/单设志愿': '专业组',
+    '专业': '专业',
+    '最低分': '最低分',
+    '平均分': '平均分',
+    '最高分': '最高分',
+    '最低分排名': '最低分排名'
+  },
+  bupt: {
+    '学校': '学校',
+    '年份': '年份',
+    '省市': '省市',
+    '类型': '计划类型',
+    '科类': '科类',
+    '专业组/选考科目': '专业组',
+    '专业': '专业',
+    '录取人数': '录取人数',
+    '最低分': '最低分',
+    '平均分': '平均分',
+    '最高分': '最高分'
+  },
+  buaa: {
+    '学校': '学校',
+    '年份': '年份',
+    '省市': '省市',
+    '类型': '计划类型',
+    '科类': '科类',
+    '最低分': '最低分',
+    '平均分': '平均分',
+    '控制线': '控制线'
+  },
+  xidian: {
+    '学校': '学校',
+    '年份': '年份',
+    '省市': '省市',
+    '类别': '计划类型',
+    '科类': '科类',
+    '专业': '专业',
+    '最低分': '最低分',
+    '最高分': '最高分'
+  },
+  bnu: {
+    '学校': '学校',
+    '校区': '校区',
+    '年份': '年份',
+    '省市': '省市',
+    '计划类型': '计划类型',
+    '招生类别': '招生类别',
+    '科类': '科类',
+    '院（系）': '院（系）',
+    '专业': '专业',
+    '招生计划': '招生计划',
+    '最低分': '最低分',
+    '最高分': '最高分',
+    '最低分排名': '最低分排名',
+    '普通类调档线': '调档线',
+    '普通类全市位次': '调档线位次'
+  }
+};
+
+/**
+ * Normalize one source record into the canonical record
+ * @param {Object} source - Record as written by a school's scraper or parser
+ * @param {string} [school] - School code; inferred from `学校` when omitted
+ * @returns {Object} - Canonical record
+ */
+function normalizeRecord(source, school) {
+  const code = school || schoolCodeFromName(source['学校']);
+  const fieldMap = SCHOOL_FIELD_MAPS[code];
+  if (!fieldMap) {
+    throw new Error(`No normalizer for school "${code || source['学校']}"`);
+  }
+
+  const values = { '学校代码': code, '学校': SCHOOLS[code] };
+  const unmapped = {};
+  for (const [field, value] of Object.entries(source)) {
+    const canonical = fieldMap[field];
+    if (field === EXTRAS_FIELD) {
+      Object.assign(unmapped, value);
+    } else if (canonical) {
+      // Numeric fields are typed below, where text that is not a number stays reviewable
+      const text = typeof value === 'string' ? value.trim() : value;
+      values[canonical] = NUMERIC_FIELDS.includes(canonical) ? text : toText(text);
+    } else {
+      unmapped[field] = value;
+    }
+  }
+
+  const province = findProvince(values['省市']);
+  if (province) {
+    values['省市'] = province.name;
+    values['省份代码'] = province.code;
+  } else if (values['省市']) {
+    // Older BNU outputs carry file names such as 2024年体育教育专业录取分数 as 省市
+    values['招生类别'] = values['招生类别'] || classifySource(values['省市']).category;
+    values['省市'] = '';
+  }
+
+  const { mode, track } = normalizeTrack(values);
+  values['考试模式'] = mode;
+  values['科类原文'] = values['科类'];
+  values['科类'] = track;
+
+  const group = parseGroup(values['专业组']);
+  values['专业组代码'] = group.group;
+  values['选科要求'] = group.status === STATUS.PARSED ? { '必选': group.required, '任选': group.either } : null;
+
+  values['层级'] = values['专业'] ? '专业' : '概况';
+  values[UNMAPPED_SECTION] = unmapped;
+  const typed = typeFields(values, NUMERIC_FIELDS);
+  typed.values[INVALID_SECTION] = typed.invalid;
+  return createRecord(typed.values);
+}
+
+/**
+ * Normalize a list of source records
+ * @param {Array} records - Source records
+ * @param {string} [school] - School code; inferred per record when omitted
+ * @returns {Array} - Canonical records
+ */
+function normalizeRecords(records, school) {
+  return records.map(record => normalizeRecord(record, school));
+}
+
+/**
+ * 专业组 labels whose subject requirements could not be read, for review
+ * @param {Array} records - Canonical records
+ * @returns {Array} - `{ school, label, count }` per distinct label, most frequent first
+ */
+function unparsedGroups(records) {
+  const counts = new Map();
+  for (const record of records) {
+    if (parseGroup(record['专业组']).status !== STATUS.UNPARSED) continue;
+    const key = `${record['学校代码']}\t${record['专业组']}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return Array.from(counts, ([key, count]) => {
+    const [school, label] = key.split('\t');
+    return { school, label, count };
+  }).sort((a, b) => b.count - a.count);
+}
+
+// Command line arguments parsing
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    input: null,
+    school: null,
+    output: null
+  };
+
+  for (const arg of args) {
+    if (arg.startsWith('--input=')) {
+      options.input = arg.substring(8);
+    } else if (arg.startsWith('--school=')) {
+      options.school = arg.substring(9);
+    } else if (arg.startsWith('--output=')) {
+      options.output = arg.substring(9);
+    } else if (arg === '--help' || arg === '-h') {
+      showHelp();
+      process.exit(0);
+    }
+  }
+
+  return options;
+}
+
+function showHelp() {
+  console.log(`
+Canonical Record Normalizer
+
+Usage: node common/normalize.js --input=FILE [options]
+
+Options:
+  --input=FILE       Scraper output file (JSON lines or .pretty array)
+  --school=CODE      ${Object.keys(SCHOOLS).join(', ')} (default: from 学校 field)
+  --output=FILE      Output file name (default: <input>.normalized)
+  --help, -h         Show this help information
+
+Examples:
+  node common/normalize.js --input=bjtu/output/bjtu_admission_scores.json
+  node common/normalize.js --input=bnu/output/bnu_admission_scores.北京.2024.jsonl --school=bnu
+  `);
+}
+
+function main() {
+  const args = parseArgs();
+  if (!args.input) {
+    showHelp();
+    process.exit(1);
+  }
+
+  const records = readRecords(args.input);
+  const normalized = normalizeRecords(records, args.school);
+  const output = args.output || `${args.input}.normalized`;
+  saveToFile(normalized, path.basename(output), path.dirname(output));
+  console.log(`Normalized ${normalized.length} records to ${output}`);
+
+  const invalid = normalized.filter(record => Object.keys(record[INVALID_SECTION]).length > 0);
+  if (invalid.length > 0) {
+    console.log(`${invalid.length} records have values that could not be converted to numbers, see ${INVALID_SECTION}`);
+  }
+  const trackless = normalized.filter(record => !record['科类'] && record['科类原文']);
+  if (trackless.length > 0) {
+    console.log(`${trackless.length} records name no track of their province's exam mode (不限, or a label from another mode), see 科类原文`);
+  }
+  const unparsed = unparsedGroups(normalized);
+  if (unparsed.length > 0) {
+    console.log(`${unparsed.length} 专业组 labels name no subject requirement that could be read (选科要求 is null), please review:`);
+    unparsed.forEach(({ school, label, count }) => console.log(`  ${school}  ${label}  (${count} records)`));
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('Normalization failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  SCHOOL_FIELD_MAPS,
+  normalizeRecord,
+  normalizeRecords,
+  unparsedGroups
+};
@@ -0,0 +1,144 @@
+/**
+ * Output helpers shared by the school scrapers
+ *
+ * Every scraper writes the same pair of files: a JSON-lines file with one
+ * record per line, and a `.pretty` copy for manual inspection.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OUTPUT_DIR = './output';
+
+// Single-part suffixes of an output file that hold no records of their own
+const SIDECARS = ['pretty', 'rejected'];
+
+/**
+ * Save records as JSON lines plus a pretty-printed copy
+ * @param {Array} data - Records to save
+ * @param {string} filename - File name inside the output directory
+ * @param {string} [dir] - Output directory (default: ./output)
+ */
+function saveToFile(data, filename, dir = DEFAULT_OUTPUT_DIR) {
+  // Create directory if it doesn't exist
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  // Format each record as a JSON line
+  const jsonLines = data.map(item => JSON.stringify(item)).join('\n');
+
+  // Also save a pretty version for easier inspection
+  fs.writeFileSync(path.join(dir, `${filename}.pretty`), JSON.stringify(data, null, 2), 'utf8');
+
+  // Write to file
+  fs.writeFileSync(path.join(dir, filename), jsonLines, 'utf8');
+}
+
+/**
+ * Read records written by saveToFile (JSON lines) or a `.pretty` JSON array
+ * @param {string} filePath - Path to the file
+ * @returns {Array} - Records
+ */
+function readRecords(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8').trim();
+  if (content.length === 0) return [];
+  if (content.startsWith('[')) return JSON.parse(content);
+
+  return content.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Drop records identical to an earlier one (same fields and values)
+ * @param {Array} records - Records
+ * @returns {Array} - Records in their original order, each one once
+ */
+function dedupeRecords(records) {
+  const seen = new Set();
+  const unique = records.filter(record => {
+    const key = JSON.stringify(Object.entries(record).sort(([a], [b]) => a.localeCompare(b)));
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (unique.length < records.length) {
+    console.log(`Removed ${records.length - unique.length} duplicate records`);
+  }
+  return unique;
+}
+
+/**
+ * Rebuild the per-province files (`<file>.<province>`) from the per-year
+ * partitions (`<file>.<province>.<year>`), so a province file covers every
+ * year scraped so far and not only the years of the last run
+ * @param {string} outputFile - Output file name of the scraper, e.g. bjtu_admission_scores.json
+ * @param {string} [dir] - Output directory (default: ./output)
+ * @returns {Object} - Province -> number of consolidated records
+ */
+function consolidatePartitions(outputFile, dir = DEFAULT_OUTPUT_DIR) {
+  if (!fs.existsSync(dir)) return {};
+
+  const byProvince = {};
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.startsWith(`${outputFile}.`)) continue;
+    // Only `<province>.<year>`; .pretty copies and the checkpoint have other shapes
+    const parts = name.substring(outputFile.length + 1).split('.');
+    if (parts.length !== 2 || !/^\d{4}$/.test(parts[1])) continue;
+
+    const [province, year] = parts;
+    if (!byProvince[province]) byProvince[province] = [];
+    byProvince[province].push({ year, file: path.join(dir, name) });
+  }
+
+  const counts = {};
+  for (const [province, partitions] of Object.entries(byProvince)) {
+    // Newest year first, the order the sites list them in
+    partitions.sort((a, b) => b.year.localeCompare(a.year));
+    const records = partitions.flatMap(partition => readRecords(partition.file));
+    saveToFile(records, `${outputFile}.${province}`, dir);
+    counts[province] = records.length;
+  }
+
+  const provinces = Object.keys(counts);
+  if (provinces.length > 0) {
+    console.log(`Consolidated the year files of ${provinces.length} provinces into ${outputFile}.<province>`);
+  }
+  return counts;
+}
+
+/**
+ * Files holding a scraper's records, each record once: the main file, or
+ * when a run saved none (every unit failed, or it was stopped) the
+ * per-province files, or else the per-year partitions. The .pretty copies
+ * and the sidecars (.checkpoint.json, .failures.json, .rejected) never count.
+ * @param {string} outputFile - Output file name of the scraper, e.g. bupt_admission_scores.json
+ * @param {string} [dir] - Output directory (default: ./output)
+ * @returns {string[]} - File names inside dir, empty when there is no output
+ */
+function listOutputFiles(outputFile, dir = DEFAULT_OUTPUT_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  const names = fs.readdirSync(dir);
+  if (names.includes(outputFile)) return [outputFile];
+
+  // `<province>` and `<province>.<year>` after the output file name
+  const suffixes = names
+    .filter(name => name.startsWith(`${outputFile}.`))
+    .map(name => name.substring(outputFile.length + 1).split('.'));
+  const provinceFiles = suffixes.filter(parts => parts.length === 1 && !SIDECARS.includes(parts[0]));
+  const partitions = suffixes.filter(parts => parts.length === 2 && /^\d{4}$/.test(parts[1]));
+  return (provinceFiles.length > 0 ? provinceFiles : partitions)
+    .map(parts => `${outputFile}.${parts.join('.')}`)
+    .sort();
+}
+
+module.exports = {
+  DEFAULT_OUTPUT_DIR,
+  saveToFile,
+  readRecords,
+  dedupeRecords,
+  consolidatePartitions,
+  listOutputFiles
+};
@@ -0,0 +1,71 @@
+/**
+ * Bounded-concurrency crawling
+ *
+ * A production scrape is split into independent units (a province, or a
+ * year + province), and N workers, each with its own browser page, take
+ * units from a shared queue. A per-host rate limit spaces the requests of
+ * all workers so the total load on a school's site stays polite.
+ */
+
+const DEFAULT_CONCURRENCY = 1;
+
+// Minimum gap between two actions against the same host, across all workers
+const DEFAULT_REQUEST_INTERVAL = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a rate limit shared by all workers
+ * @param {number} [interval] - Minimum milliseconds between two actions on the same host
+ * @returns {Object} - Limiter whose `wait(url)` resolves when the caller may hit that host
+ */
+function createRateLimiter(interval = DEFAULT_REQUEST_INTERVAL) {
+  const nextSlot = new Map();
+
+  return {
+    async wait(url) {
+      const host = new URL(url).host;
+      const now = Date.now();
+      // Reserve the slot before sleeping so concurrent callers queue up behind it
+      const slot = Math.max(now, nextSlot.get(host) || 0);
+      nextSlot.set(host, slot + interval);
+      if (slot > now) await sleep(slot - now);
+    }
+  };
+}
+
+/**
+ * Run a worker function over a queue of units with at most `concurrency` in flight
+ * @param {Array} units - Work units, taken in order
+ * @param {number} concurrency - Number of workers
+ * @param {Function} worker - `(unit, index, workerId) => Promise<*>`; workerId is 0..concurrency-1
+ * @param {Function} [onError] - `(error, unit, index)` called when a worker throws
+ * @returns {Promise<Array>} - Results in unit order (undefined for units whose worker threw)
+ */
+async function runPool(units, concurrency, worker, onError) {
+  const results = new Array(units.length);
+  let next = 0;
+
+  async function work(workerId) {
+    while (next < units.length) {
+      const index = next++;
+      try {
+        results[index] = await worker(units[index], index, workerId);
+      } catch (error) {
+        console.error(`[worker ${workerId + 1}] Error processing unit ${index + 1}/${units.length}:`, error.message);
+        if (onError) onError(error, units[index], index);
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, units.length));
+  await Promise.all(Array.from({ length: workerCount }, (_, workerId) => work(workerId)));
+  return results;
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_REQUEST_INTERVAL,
+  createRateLimiter,
+  runPool
+};
@@ -0,0 +1,123 @@
+/**
+ * Province registry
+ *
+ * Province values reach the records from link texts (`北京`, `内蒙古`), from
+ * BNU's PDF file names and from command line filters. Every one of them is
+ * checked against this registry: canonical short names as the sites use
+ * them, full names and other aliases, and GB/T 2260 administrative codes.
+ * Names that are not provinces (`体育教育`, `美术学`, generated file names
+ * such as `20221024090607948742`) are kept apart as categories instead of
+ * being treated as provinces.
+ */
+
+// GB/T 2260 code, canonical short name, full name and other spellings seen on the sites
+const PROVINCES = [
+  { code: '110000', name: '北京', fullName: '北京市', aliases: [] },
+  { code: '120000', name: '天津', fullName: '天津市', aliases: [] },
+  { code: '130000', name: '河北', fullName: '河北省', aliases: [] },
+  { code: '140000', name: '山西', fullName: '山西省', aliases: [] },
+  { code: '150000', name: '内蒙古', fullName: '内蒙古自治区', aliases: ['内蒙'] },
+  { code: '210000', name: '辽宁', fullName: '辽宁省', aliases: [] },
+  { code: '220000', name: '吉林', fullName: '吉林省', aliases: [] },
+  { code: '230000', name: '黑龙江', fullName: '黑龙江省', aliases: [] },
+  { code: '310000', name: '上海', fullName: '上海市', aliases: [] },
+  { code: '320000', name: '江苏', fullName: '江苏省', aliases: [] },
+  { code: '330000', name: '浙江', fullName: '浙江省', aliases: [] },
+  { code: '340000', name: '安徽', fullName: '安徽省', aliases: [] },
+  { code: '350000', name: '福建', fullName: '福建省', aliases: [] },
+  { code: '360000', name: '江西', fullName: '江西省', aliases: [] },
+  { code: '370000', name: '山东', fullName: '山东省', aliases: [] },
+  { code: '410000', name: '河南', fullName: '河南省', aliases: [] },
+  { code: '420000', name: '湖北', fullName: '湖北省', aliases: [] },
+  { code: '430000', name: '湖南', fullName: '湖南省', aliases: [] },
+  { code: '440000', name: '广东', fullName: '广东省', aliases: [] },
+  { code: '450000', name: '广西', fullName: '广西壮族自治区', aliases: ['广西自治区'] },
+  { code: '460000', name: '海南', fullName: '海南省', aliases: [] },
+  { code: '500000', name: '重庆', fullName: '重庆市', aliases: [] },
+  { code: '510000', name: '四川', fullName: '四川省', aliases: [] },
+  { code: '520000', name: '贵州', fullName: '贵州省', aliases: [] },
+  { code: '530000', name: '云南', fullName: '云南省', aliases: [] },
+  { code: '540000', name: '西藏', fullName: '西藏自治区', aliases: [] },
+  { code: '610000', name: '陕西', fullName: '陕西省', aliases: [] },
+  { code: '620000', name: '甘肃', fullName: '甘肃省', aliases: [] },
+  { code: '630000', name: '青海', fullName: '青海省', aliases: [] },
+  { code: '640000', name: '宁夏', fullName: '宁夏回族自治区', aliases: ['宁夏自治区'] },
+  { code: '650000', name: '新疆', fullName: '新疆维吾尔自治区', aliases: ['新疆自治区'] },
+  { code: '710000', name: '台湾', fullName: '台湾省', aliases: [] },
+  { code: '810000', name: '香港', fullName: '香港特别行政区', aliases: ['香港特区'] },
+  { code: '820000', name: '澳门', fullName: '澳门特别行政区', aliases: ['澳门特区'] }
+];
+
+// Every spelling -> registry entry
+const BY_NAME = new Map();
+for (const province of PROVINCES) {
+  for (const name of [province.name, province.fullName, ...province.aliases]) {
+    BY_NAME.set(name, province);
+  }
+}
+
+/**
+ * Find a province by any of its names
+ * @param {string} text - Name as written by a site, a file name or a filter
+ * @returns {Object|null} - `{ code, name, fullName, aliases }`, null when it is not a province
+ */
+function findProvince(text) {
+  if (typeof text !== 'string') return null;
+  return BY_NAME.get(text.replace(/\s+/g, '')) || null;
+}
+
+/**
+ * Every spelling of the given provinces, so a filter such as `--provinces
+ * 内蒙古自治区` also matches a site that writes 内蒙古
+ * @param {string[]} names - Province names
+ * @returns {string[]} - The names plus all spellings of the provinces they name
+ */
+function provinceSpellings(names) {
+  const spellings = new Set(names);
+  for (const name of names) {
+    const province = findProvince(name);
+    if (province) [province.name, province.fullName, ...province.aliases].forEach(spelling => spellings.add(spelling));
+  }
+  return Array.from(spellings);
+}
+
+/**
+ * Create a check that logs the province names missing from the registry,
+ * each one the first time it is seen
+ * @param {string} source - Where the names come from, for the log
+ * @returns {Function} - `(names) => string[]` the unknown names among them
+ */
+function createProvinceCheck(source) {
+  const reported = new Set();
+  return names => {
+    const unknown = names.filter(name => !findProvince(name));
+    const fresh = unknown.filter(name => !reported.has(name));
+    if (fresh.length > 0) {
+      fresh.forEach(name => reported.add(name));
+      console.log(`Not in the province registry (common/provinces.js), from ${source}: ${fresh.join(', ')}`);
+    }
+    return unknown;
+  };
+}
+
+/**
+ * Tell a province source name (e.g. a PDF file name) from a category one
+ * @param {string} name - Source name without extension, e.g. 内蒙古 or 2024年体育教育专业录取分数
+ * @returns {Object} - `{ province, category }`; province is the canonical name ('' for a category),
+ *   category is the name without year prefix and 录取分数 suffix ('' for a province). Generated
+ *   names (timestamps, hashes) say nothing about their content and keep the name as category.
+ */
+function classifySource(name) {
+  const province = findProvince(name);
+  if (province) return { province: province.name, category: '' };
+  const category = name.replace(/^\d{4}年/, '').replace(/录取分数$/, '').trim();
+  return { province: '', category: category || name };
+}
+
+module.exports = {
+  PROVINCES,
+  findProvince,
+  provinceSpellings,
+  createProvinceCheck,
+  classifySource
+};
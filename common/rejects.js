@@ -0,0 +1,84 @@
+/**
+ * Rejected-rows sidecar
+ *
+ * Table rows that cannot be turned into a record (too few cells, no score,
+ * an unknown column layout ...) are kept out of the dataset instead of being
+ * guessed into it. Each one is appended to `<output file>.rejected` next to
+ * the output, one JSON line per row:
+ *
+ *   { "reason": "...", "headers": [...], "cells": [...], "context": { facet values } }
+ *
+ * so the extractors can be fixed from real examples. A `.pretty` copy is
+ * written when the run ends.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_OUTPUT_DIR, readRecords } = require('./output');
+
+// A row only counts as a score row when it carries at least one of these
+const SCORE_FIELDS = ['最低分', '最高分', '平均分'];
+
+/**
+ * Whether a record carries at least one score
+ * @param {Object} record - Extracted record
+ * @returns {boolean}
+ */
+function hasScore(record) {
+  return SCORE_FIELDS.some(field => record[field]);
+}
+
+/**
+ * Open the sidecar of a run
+ * @param {string} outputFile - Output file name of the scraper, e.g. bjtu_admission_scores.json
+ * @param {Object} [options]
+ * @param {boolean} [options.resume] - Keep the rows rejected by the previous run
+ * @param {string} [options.dir] - Output directory (default: ./output)
+ * @returns {Object} - Sidecar with rejecter(context), add(entry) and close()
+ */
+function openRejects(outputFile, options = {}) {
+  const { resume = false, dir = DEFAULT_OUTPUT_DIR } = options;
+  const filePath = path.join(dir, `${outputFile}.rejected`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  if (!resume || !fs.existsSync(filePath)) {
+    fs.writeFileSync(filePath, '', 'utf8');
+  }
+
+  let count = 0;
+
+  const sidecar = {
+    /**
+     * Append one rejected row
+     * @param {Object} entry - `{ reason, headers, cells, context }`
+     */
+    add(entry) {
+      // Append right away so an interrupted run keeps what it rejected
+      fs.appendFileSync(filePath, JSON.stringify(entry) + '\n', 'utf8');
+      count++;
+    },
+
+    /**
+     * Callback handed to an extractor for one facet combination
+     * @param {Object} context - Facet values of the combination
+     * @returns {Function} - `({ reason, headers, cells }) => void`
+     */
+    rejecter(context) {
+      return row => sidecar.add({ reason: row.reason, headers: row.headers || [], cells: row.cells || [], context: { ...context } });
+    },
+
+    close() {
+      fs.writeFileSync(`${filePath}.pretty`, JSON.stringify(readRecords(filePath), null, 2), 'utf8');
+      if (count > 0) {
+        console.log(`Rejected ${count} rows that could not be extracted, see ${filePath}`);
+      }
+    }
+  };
+  return sidecar;
+}
+
+module.exports = {
+  SCORE_FIELDS,
+  hasScore,
+  openRejects
+};
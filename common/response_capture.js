@@ -0,0 +1,129 @@
+/**
+ * Network-response capture mode
+ *
+ * The BJTU/BUPT `lnfs.html` pages and the XIDIAN `#/lnfs` SPA load their
+ * tables through XHR. Instead of reading the rendered cells and guessing
+ * columns from headers, this module listens to `page.on('response')`,
+ * keeps the JSON payloads of the current facet combination and maps their
+ * rows straight into records. When nothing usable was captured the caller
+ * falls back to DOM scraping.
+ */
+
+const { SCORE_FIELDS } = require('./rejects');
+const { EXTRAS_FIELD } = require('./table_mapping');
+
+const MAX_SEARCH_DEPTH = 4;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Start capturing JSON responses of XHR/fetch requests
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @param {Object} [options]
+ * @param {RegExp} [options.urlPattern] - Only keep responses whose URL matches
+ * @returns {Object} - Capture handle with clear(), take() and stop()
+ */
+function startResponseCapture(page, options = {}) {
+  const { urlPattern = null } = options;
+  let pending = [];
+
+  const onResponse = response => {
+    const type = response.request().resourceType();
+    if (type !== 'xhr' && type !== 'fetch') return;
+    if (urlPattern && !urlPattern.test(response.url())) return;
+
+    // Bodies are read asynchronously; take() waits for them
+    pending.push(
+      response.text()
+        .then(text => ({ url: response.url(), data: JSON.parse(text) }))
+        .catch(() => null)
+    );
+  };
+  page.on('response', onResponse);
+
+  return {
+    /** Forget everything captured so far (call before each click) */
+    clear() {
+      pending = [];
+    },
+
+    /** Return and forget the JSON payloads captured since the last clear() */
+    async take() {
+      const payloads = (await Promise.all(pending)).filter(payload => payload !== null);
+      pending = [];
+      return payloads;
+    },
+
+    stop() {
+      page.off('response', onResponse);
+    }
+  };
+}
+
+/**
+ * Find the table rows in a JSON payload: the largest array of plain objects
+ * anywhere in the first few levels of the document
+ * @param {*} data - Parsed JSON
+ * @returns {Array<Object>} - Rows, or an empty array
+ */
+function findRows(data, depth = 0) {
+  if (Array.isArray(data)) {
+    if (data.length > 0 && data.every(isPlainObject)) return data;
+    return [];
+  }
+  if (!isPlainObject(data) || depth >= MAX_SEARCH_DEPTH) return [];
+
+  let best = [];
+  for (const value of Object.values(data)) {
+    const rows = findRows(value, depth + 1);
+    if (rows.length > best.length) best = rows;
+  }
+  return best;
+}
+
+/**
+ * Map captured payloads into records
+ *
+ * Keys that no field's synonyms name are kept under `extras`, like the
+ * unknown columns of a table (see ./table_mapping.js).
+ * @param {Array} payloads - Payloads returned by take()
+ * @param {Object} fieldSynonyms - Record field -> list of JSON keys that carry it
+ * @param {Object} base - Fields every record starts with (school, facet values ...)
+ * @param {string[]} [requiredFields] - Rows without any of these are skipped (e.g. option lists)
+ * @returns {Array} - Records; empty when no payload had mappable rows
+ */
+function mapResponseRows(payloads, fieldSynonyms, base, requiredFields = SCORE_FIELDS) {
+  const known = new Set(Object.values(fieldSynonyms).flat());
+  const records = [];
+  for (const payload of payloads) {
+    for (const row of findRows(payload.data)) {
+      const record = { ...base };
+      const mapped = [];
+      for (const [field, keys] of Object.entries(fieldSynonyms)) {
+        const key = keys.find(k => row[k] !== undefined && row[k] !== null && row[k] !== '');
+        if (key === undefined) continue;
+        record[field] = String(row[key]).trim();
+        mapped.push(field);
+      }
+
+      const extras = {};
+      for (const [key, value] of Object.entries(row)) {
+        if (known.has(key) || value === undefined || value === null || value === '') continue;
+        extras[key] = typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+      }
+      record[EXTRAS_FIELD] = extras;
+
+      if (mapped.some(field => requiredFields.includes(field))) records.push(record);
+    }
+  }
+  return records;
+}
+
+module.exports = {
+  SCORE_FIELDS,
+  startResponseCapture,
+  findRows,
+  mapResponseRows
+};
@@ -0,0 +1,62 @@
+/**
+ * Run events for library callers
+ *
+ * When a scraper is run from code (see ../index.js), its options carry an
+ * `events` emitter and optionally a `sink`. The scrapers report through a
+ * reporter built here; without either, every call is a no-op and the
+ * command line behaves as before.
+ *
+ * Events on the emitter:
+ *   'record'   (record, { school, unit })                   every record of a finished unit
+ *   'progress' ({ school, unit, done, total, records })    after each unit (province, year + province, PDF file ...)
+ *   'error'    (error, { school, unit })                    something failed; unit is null when the whole run failed
+ */
+
+/**
+ * Build the reporter of one run
+ * @param {string} school - School name, e.g. 北京交通大学
+ * @param {Object} [options] - Run options
+ * @param {Object} [options.events] - EventEmitter receiving the events
+ * @param {Function} [options.sink] - `(record, { school, unit }) => Promise|void`, awaited for every record
+ * @param {Object} [ledger] - Failure ledger from ./failures.js receiving every error
+ * @returns {Object} - Reporter with unitDone(unit, records, total) and error(error, unit, artifacts)
+ */
+function createReporter(school, options = {}, ledger = null) {
+  const { events, sink } = options;
+  let done = 0;
+
+  return {
+    /**
+     * Hand a finished unit's records to the caller
+     * @param {Object} unit - Selection of the unit, e.g. `{ '省市': '北京' }`
+     * @param {Array} records - Records of the unit (also the ones restored from a checkpoint)
+     * @param {number|null} total - Number of units in the run, null when not known up front
+     */
+    async unitDone(unit, records, total) {
+      done++;
+      for (const record of records) {
+        if (events) events.emit('record', record, { school, unit });
+        if (sink) await sink(record, { school, unit });
+      }
+      if (events) events.emit('progress', { school, unit, done, total, records: records.length });
+    },
+
+    /**
+     * Report a failure; the console log already has it, so without a
+     * listener the error is not emitted (an unhandled 'error' would throw)
+     * @param {Error} error - What went wrong
+     * @param {Object|null} unit - Selection that failed, null for the whole run
+     * @param {Object} [artifacts] - `{ screenshot, html }` paths saved for the failure
+     */
+    error(error, unit, artifacts) {
+      if (ledger) ledger.record(error, unit, artifacts);
+      if (events && events.listenerCount('error') > 0) {
+        events.emit('error', error, { school, unit });
+      }
+    }
+  };
+}
+
+module.exports = {
+  createReporter
+};
@@ -0,0 +1,104 @@
+/**
+ * Canonical cross-school admission record
+ *
+ * Every school writes its own shape (BJTU `计划类型` + `专业组/科目类/单设志愿`,
+ * BUPT `类型` + `录取人数`, BUAA `控制线`, XIDIAN `类别`, BNU `院（系）` +
+ * `普通类调档线`). The normalizers in ./normalize.js map them all into the
+ * record defined here so downstream analysis can treat every file the same.
+ */
+
+// School codes used throughout the repo (directory names)
+const SCHOOLS = {
+  bjtu: '北京交通大学',
+  bupt: '北京邮电大学',
+  buaa: '北京航空航天大学',
+  xidian: '西安电子科技大学',
+  bnu: '北京师范大学'
+};
+
+// Canonical fields, in output order. Missing text values are empty strings,
+// missing numeric values (NUMERIC_FIELDS) and subject requirements are null.
+const CANONICAL_FIELDS = [
+  '学校代码',     // School code, e.g. bjtu
+  '学校',
+  '校区',
+  '年份',
+  '省市',         // Canonical short name from ./provinces.js, e.g. 内蒙古
+  '省份代码',     // GB/T 2260 code, e.g. 150000
+  '计划类型',     // 普通类/统招/国家专项/艺术类 ...
+  '招生类别',     // Sources that are not about a province: 体育教育, 美术学 ...
+  '考试模式',     // 文理/3+3/3+1+2 in that province and year, see ./exam_modes.js
+  '科类',         // Canonical track: 物理类/历史类/综合/理工/文史, empty when none applies (不限)
+  '科类原文',     // 科类 as the school wrote it: 综合改革/理工类/艺术（历史类） ...
+  '专业组',       // 专业组/科目类/选考科目 label
+  '专业组代码',   // Group number (01) or the label itself, see ./subject_requirements.js
+  '选科要求',     // { 必选: ['物理', '化学'], 任选: [] }, null when the label names none we can read
+  '院（系）',
+  '专业',         // Empty for summary (录取概况) rows
+  '层级',         // '专业' for per-major rows, '概况' for summary rows
+  '招生计划',
+  '录取人数',
+  '最低分',
+  '平均分',
+  '最高分',
+  '最低分排名',
+  '控制线',       // Provincial control line (批次线)
+  '调档线',       // School-level admission line (普通类调档线)
+  '调档线位次'
+];
+
+// Fields typed as numbers by ./typing.js
+const NUMERIC_FIELDS = [
+  '招生计划',
+  '录取人数',
+  '最低分',
+  '平均分',
+  '最高分',
+  '最低分排名',
+  '控制线',
+  '调档线',
+  '调档线位次'
+];
+
+// Section holding source fields that have no canonical counterpart
+const UNMAPPED_SECTION = '未映射字段';
+
+// Section holding the original text of numeric fields that could not be converted
+const INVALID_SECTION = '无法转换字段';
+
+/**
+ * Build a canonical record with every field present
+ * @param {Object} values - Canonical field values
+ * @returns {Object} - Canonical record
+ */
+function createRecord(values = {}) {
+  const record = {};
+  for (const field of CANONICAL_FIELDS) {
+    const value = values[field];
+    const missing = NUMERIC_FIELDS.includes(field) || field === '选科要求' ? null : '';
+    record[field] = value === undefined || value === null ? missing : value;
+  }
+  record[UNMAPPED_SECTION] = { ...(values[UNMAPPED_SECTION] || {}) };
+  record[INVALID_SECTION] = { ...(values[INVALID_SECTION] || {}) };
+  return record;
+}
+
+/**
+ * Find the school code for a Chinese school name
+ * @param {string} name - School name, e.g. 北京交通大学
+ * @returns {string|null} - School code or null when unknown
+ */
+function schoolCodeFromName(name) {
+  const entry = Object.entries(SCHOOLS).find(([, schoolName]) => schoolName === name);
+  return entry ? entry[0] : null;
+}
+
+module.exports = {
+  SCHOOLS,
+  CANONICAL_FIELDS,
+  NUMERIC_FIELDS,
+  UNMAPPED_SECTION,
+  INVALID_SECTION,
+  createRecord,
+  schoolCodeFromName
+};
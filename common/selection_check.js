@@ -0,0 +1,101 @@
+/**
+ * Post-click selection check
+ *
+ * The scrapers select a filter by clicking a link inside `page.evaluate`. A
+ * click that misses (the filter bar re-rendered, the table's request lost a
+ * race ...) leaves the previous table on the page, which would then be
+ * extracted under the new province/year labels. After each selection the
+ * page is checked: the clicked link is active, and the table's 年份/省市
+ * columns show the requested values. A selection that does not take effect
+ * is redone a bounded number of times, then reported as a failure.
+ */
+
+const DEFAULT_ATTEMPTS = 3;
+const RETRY_DELAY = 1000;
+
+// Requested column -> header texts the sites use for it
+const COLUMN_HEADERS = {
+  '年份': ['年份', '招生年份'],
+  '省市': ['省市', '省份', '生源地']
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check that the page shows a selection
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @param {Object} [check]
+ * @param {Object} [check.active] - `{ selector, text }` link that must be active
+ *   (skipped when none of the matched links is ever marked active)
+ * @param {string} [check.table] - Selector of the tables whose columns are checked (default: every table)
+ * @param {Object} [check.expect] - Column -> requested value, e.g. `{ '年份': '2024', '省市': '北京' }`;
+ *   only 年份 and 省市 are checked, and only in tables that have such a column
+ * @returns {Promise<string|null>} - What does not match, null when the page shows the selection
+ */
+async function checkSelection(page, check = {}) {
+  const { active = null, table = 'table', expect = {} } = check;
+  const columns = Object.entries(expect)
+    .filter(([column, value]) => COLUMN_HEADERS[column] && value)
+    .map(([column, value]) => ({ column, value, headers: COLUMN_HEADERS[column] }));
+
+  return page.evaluate((active, tableSelector, columns) => {
+    if (active) {
+      const isActive = el => el.classList.contains('active') ||
+        (el.parentElement && el.parentElement.classList.contains('active'));
+      const links = Array.from(document.querySelectorAll(active.selector));
+      const link = links.find(a => a.textContent.trim() === active.text);
+      if (!link) return `Link "${active.text}" not found`;
+      if (links.some(isActive) && !isActive(link)) return `Link "${active.text}" is not active`;
+    }
+
+    for (const table of Array.from(document.querySelectorAll(tableSelector))) {
+      const headerCells = table.querySelectorAll('thead th');
+      const headers = Array.from(headerCells.length > 0 ? headerCells : (table.rows[0] ? table.rows[0].cells : []))
+        .map(cell => cell.textContent.trim());
+      // Rows with another cell count are merged (rowspan) rows whose columns are shifted
+      const rows = Array.from(table.querySelectorAll('tbody tr'))
+        .filter(row => !row.classList.contains('loading') && !row.classList.contains('no_data'))
+        .map(row => Array.from(row.querySelectorAll('td')).map(cell => cell.textContent.trim()))
+        .filter(cells => cells.length === headers.length && cells.join('|') !== headers.join('|'));
+
+      for (const { column, value, headers: names } of columns) {
+        const index = headers.findIndex(header => names.includes(header));
+        if (index === -1) continue;
+        const shown = rows.map(cells => cells[index]).filter(text => text);
+        // 北京 matches 北京市, 2024 matches 2024年
+        if (shown.length > 0 && !shown.some(text => text.startsWith(value))) {
+          return `Table shows ${column} ${[...new Set(shown)].join(', ')} instead of ${value}`;
+        }
+      }
+    }
+    return null;
+  }, active, table, columns);
+}
+
+/**
+ * Run a selection until the page shows it
+ * @param {Function} select - `() => Promise` clicks and waits for the page to settle
+ * @param {Function} check - `() => Promise<string|null>` what does not match, e.g. checkSelection
+ * @param {Object} [options]
+ * @param {number} [options.attempts] - Selections before giving up (default: 3)
+ * @param {string} [options.label] - What is selected, for the log and the error
+ * @throws {Error} When the page still does not show the selection after the last attempt
+ */
+async function selectVerified(select, check, options = {}) {
+  const { attempts = DEFAULT_ATTEMPTS, label = 'selection' } = options;
+  let problem = null;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    await select();
+    problem = await check();
+    if (!problem) return;
+    console.log(`Selecting ${label} did not take effect (${problem}), attempt ${attempt}/${attempts}`);
+    if (attempt < attempts) await sleep(RETRY_DELAY * attempt);
+  }
+  throw new Error(`Selecting ${label} did not take effect after ${attempts} attempts: ${problem}`);
+}
+
+module.exports = {
+  DEFAULT_ATTEMPTS,
+  checkSelection,
+  selectVerified
+};
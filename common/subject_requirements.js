@@ -0,0 +1,142 @@
+/**
+ * Subject requirements from 专业组 labels
+ *
+ * BJTU writes its groups as `专业组/科目类/单设志愿` (`物化组`, `物理组-詹天佑`,
+ * `不限组`, `理工`) and BUPT as `专业组/选考科目` (`普通理工科专业组`,
+ * `物理类专业组`). Other sites spell the requirement out (`第01组（物理+化学）`,
+ * `首选物理，再选化学或生物`). parseGroup turns a label into
+ *
+ *   { group: '物化组-詹天佑信息类', required: ['物理', '化学'], either: [], status: 'parsed' }
+ *
+ * where `required` must all be taken and at least one of `either` (when
+ * not empty). Labels that name no requirement we can read (`元班专业组`,
+ * `zyz`) are `unparsed` and listed for review by the normalizer instead of
+ * being guessed.
+ */
+
+const { PLACEHOLDERS } = require('./typing');
+
+// Subjects in canonical order, with the short forms group names use and other spellings
+const SUBJECTS = [
+  { name: '物理', short: '物', aliases: [] },
+  { name: '化学', short: '化', aliases: [] },
+  { name: '生物', short: '生', aliases: [] },
+  { name: '思想政治', short: '政', aliases: ['政治'] },
+  { name: '历史', short: '史', aliases: ['历'] },
+  { name: '地理', short: '地', aliases: [] },
+  { name: '技术', short: '技', aliases: [] }
+];
+
+const SUBJECT_NAMES = SUBJECTS.map(subject => subject.name);
+
+const STATUS = {
+  PARSED: 'parsed',      // Requirements read from the label (none for 不限组 or a track such as 理工)
+  NONE: 'none',          // No group label
+  UNPARSED: 'unparsed'   // A label whose requirements could not be read
+};
+
+/**
+ * Canonical subject for a name or short form
+ * @param {string} text - 物理, 物, 政治, 生物学 ...
+ * @returns {string|null} - Canonical name, null when it is not a subject
+ */
+function findSubject(text) {
+  const word = String(text || '').trim().replace(/(学科|科目|科)$/, '');
+  const subject = SUBJECTS.find(({ name, short, aliases }) =>
+    word === name || word === short || aliases.includes(word) ||
+    (word.length > 1 && (name.startsWith(word) || word.startsWith(name))));
+  return subject ? subject.name : null;
+}
+
+// Subjects named in a text, in canonical order; null when any part is not a subject
+const subjectList = (text) => {
+  const parts = text.split(/[+＋、，,和与及\s]+/).filter(Boolean);
+  const subjects = parts.map(findSubject);
+  if (parts.length === 0 || subjects.includes(null)) return null;
+  return SUBJECT_NAMES.filter(name => subjects.includes(name));
+};
+
+// Short forms run together, e.g. 物化生 -> 物理, 化学, 生物
+const shortList = (text) => {
+  const chars = Array.from(text);
+  const subjects = chars.map(ch => (SUBJECTS.find(subject => subject.short === ch) || {}).name || null);
+  if (chars.length === 0 || subjects.includes(null)) return null;
+  return SUBJECT_NAMES.filter(name => subjects.includes(name));
+};
+
+const NO_REQUIREMENT = /^(不限|不提(科目)?要求|无(要求|限制)?|不分科目类?|选考科目不限|不限选考科目)$/;
+
+// Old 文理 track names used as group labels (BJTU 陕西 `理工-詹天佑`, BUPT `普通理工科专业组`,
+// `文科专业组`); the track, not subjects, decides
+const TRACK_LABEL = /^(普通)?(理工|文史|理|文)科?类?$/;
+
+/**
+ * Read the requirement part of a label
+ * @param {string} text - Requirement text without group number or decoration
+ * @returns {Object|null} - `{ required, either }`, null when the text names no requirement
+ */
+function parseRequirement(text) {
+  // 选考物理, and the restrictions BUAA writes into its 计划类型: 限选物理, 物理必选
+  const spec = text.replace(/\s+/g, '').replace(/^(选考|限选|须选)(科目)?[:：]?/, '').replace(/(必选|必考)?[。.]?$/, '');
+  if (!spec || NO_REQUIREMENT.test(spec) || TRACK_LABEL.test(spec)) return { required: [], either: [] };
+
+  // 首选物理，再选化学（或生物）/ 首选历史，再选不限
+  const firstThen = spec.match(/^首选(.+?)[,，;；]?再选(.*)$/);
+  if (firstThen) {
+    const first = findSubject(firstThen[1]);
+    const rest = parseRequirement(firstThen[2]);
+    if (!first || !rest) return null;
+    return { required: SUBJECT_NAMES.filter(name => name === first || rest.required.includes(name)), either: rest.either };
+  }
+
+  // 物理类 (3+1+2 first subject), 物理/化学(任选一门), 物理或化学, 物理+化学, 物理、化学（均须选考）
+  const track = spec.match(/^(物理|历史)类$/);
+  if (track) return { required: [track[1]], either: [] };
+  const body = spec.replace(/[（(](两门)?(均须|均需|必须|都要|同时)?选考[)）]$/, '');
+  const anyOf = body.match(/^(.+?)[（(]?(任选|选考)?(其中)?(一|1)门(即可)?[)）]?$/);
+  if (anyOf || /[/／或]/.test(body)) {
+    const either = subjectList((anyOf ? anyOf[1] : body).replace(/[/／或]/g, '、'));
+    return either ? { required: either.length === 1 ? either : [], either: either.length === 1 ? [] : either } : null;
+  }
+  const required = subjectList(body);
+  return required ? { required, either: [] } : null;
+}
+
+/**
+ * Parse a 专业组 label into a group identifier and subject requirements
+ * @param {string} label - 专业组/科目类/单设志愿 or 专业组/选考科目 text
+ * @returns {Object} - `{ group, required, either, status }`, see STATUS
+ */
+function parseGroup(label) {
+  const text = String(label || '').trim();
+  if (PLACEHOLDERS.has(text)) return { group: '', required: [], either: [], status: STATUS.NONE };
+
+  // Numbered groups: 第01组（物理+化学）, 专业组(02)：不限, 03组
+  const numbered = text.match(/^(?:第\s*)?[（(]?(\d{1,3})[)）]?\s*(?:专业)?组[:：\s]*(.*)$/) ||
+    text.match(/^专业组\s*[（(]?(\d{1,3})[)）]?[:：\s]*(.*)$/);
+  if (numbered) {
+    // A bare number (03组, 第02组) says nothing about the subjects, unlike an explicit 不限
+    const spec = numbered[2].replace(/^[（(](.*)[)）]$/, '$1').trim();
+    const requirement = spec ? parseRequirement(spec) : null;
+    return requirement
+      ? { group: numbered[1], ...requirement, status: STATUS.PARSED }
+      : { group: numbered[1], required: [], either: [], status: STATUS.UNPARSED };
+  }
+
+  // Named groups: BJTU 物化组-詹天佑信息类 (the suffix names a programme), 不限组, 物理类专业组, 专业组（物理+化学）
+  const [head] = text.split(/[-－—]/);
+  const inParens = head.match(/^(.*?)[（(](.+)[)）]$/);
+  const readName = (name) => parseRequirement(name) ||
+    (/^[物化生政史地技]+$/.test(name) ? { required: shortList(name), either: [] } : null);
+  const requirement = (inParens && readName(inParens[2])) || readName(head.replace(/(专业)?组$/, ''));
+  return requirement
+    ? { group: text, ...requirement, status: STATUS.PARSED }
+    : { group: text, required: [], either: [], status: STATUS.UNPARSED };
+}
+
+module.exports = {
+  SUBJECTS,
+  STATUS,
+  findSubject,
+  parseGroup
+};
@@ -0,0 +1,59 @@
+/**
+ * Raw table reading, shared by the browser and HTTP-only modes
+ *
+ * Both modes read a table into the same `{ headers, rows }` shape (cell
+ * texts only, loading/no-data rows dropped), so a school's record mapping
+ * runs unchanged on either one.
+ */
+
+/**
+ * Read tables from a live page
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @param {string[]} selectors - Table selectors, e.g. `table.table_con`
+ * @returns {Promise<Object>} - selector -> `{ headers, rows }`, or null when the table is missing
+ */
+async function readTablesFromPage(page, selectors) {
+  const tables = await page.evaluate((selectors) => {
+    return selectors.map(selector => {
+      if (document.querySelector(selector) === null) return null;
+
+      const headers = Array.from(document.querySelectorAll(`${selector} thead tr th`))
+        .map(th => th.textContent.trim());
+      const rows = Array.from(document.querySelectorAll(`${selector} tbody tr`))
+        .filter(row => !row.classList.contains('loading') && !row.classList.contains('no_data'))
+        .map(row => Array.from(row.querySelectorAll('td')).map(td => td.textContent.trim()));
+      return { headers, rows };
+    });
+  }, selectors);
+
+  return Object.fromEntries(selectors.map((selector, idx) => [selector, tables[idx]]));
+}
+
+/**
+ * Read tables from an HTML document loaded with cheerio
+ * @param {Function} $ - Loaded cheerio document
+ * @param {string[]} selectors - Table selectors, e.g. `table.table_con`
+ * @returns {Object} - selector -> `{ headers, rows }`, or null when the table is missing
+ */
+function readTablesFromHtml($, selectors) {
+  const tables = {};
+  for (const selector of selectors) {
+    if ($(selector).length === 0) {
+      tables[selector] = null;
+      continue;
+    }
+
+    const headers = $(`${selector} thead tr th`).toArray()
+      .map(th => $(th).text().trim());
+    const rows = $(`${selector} tbody tr`).toArray()
+      .filter(row => !$(row).hasClass('loading') && !$(row).hasClass('no_data'))
+      .map(row => $(row).find('td').toArray().map(td => $(td).text().trim()));
+    tables[selector] = { headers, rows };
+  }
+  return tables;
+}
+
+module.exports = {
+  readTablesFromPage,
+  readTablesFromHtml
+};
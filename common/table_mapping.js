@@ -0,0 +1,128 @@
+/**
+ * Declarative table mapping
+ *
+ * Which header carries which record field used to live in `switch`
+ * statements and fixed cell indexes inside each extractor. Each school now
+ * describes its score tables in its site config and the extractors hand the
+ * raw `{ headers, rows }` (see ./table.js) to mapTable:
+ *
+ *   tables: {
+ *     major: {
+ *       selector: 'table.sort-table',
+ *       label: 'Major table',                      // used in logs and reject reasons
+ *       columns: { '省市': ['省市', '省份'], ... },  // record field -> header texts the site uses for it
+ *       positions: ['专业', '录取人数', ...],        // fields by cell index, for rows the headers do not fit
+ *       ignore: ['年份'],                           // headers known to carry nothing we keep
+ *       defaults: { '校区': '校本部', '专业': '' },   // every record's fields, in output order
+ *       minCells: 4,                               // shorter rows are rejected
+ *       required: ['专业']                          // rows without these (or without a score) are rejected
+ *     }
+ *   }
+ *
+ * A record starts from `defaults`, takes the selection's values (school,
+ * year, province ...) and then the table's non-empty cells. Columns that
+ * are neither mapped nor ignored (录取人数, 最低位次, 备注 ...) are kept as
+ * header -> value pairs under the record's `extras`, and their headers are
+ * reported once per run, so what a school starts publishing reaches the
+ * dataset before the mapping is updated.
+ */
+
+const { hasScore } = require('./rejects');
+
+// Record field holding the unmapped columns
+const EXTRAS_FIELD = 'extras';
+
+/**
+ * Map one table's rows into records
+ * @param {Object} table - `{ headers, rows }` from ./table.js
+ * @param {Object} spec - Table spec from the site config, see above
+ * @param {Object} [base] - Values from the selection; empty ones do not override defaults
+ * @param {Function} [reject] - `({ reason, headers, cells })` receives rows that cannot be extracted (see ./rejects.js)
+ * @returns {Object} - `{ records, unknown }`, unknown being the headers the spec does not know (kept under `extras`)
+ */
+function mapTable(table, spec, base = {}, reject = () => {}) {
+  const {
+    label = 'Table',
+    columns = {},
+    positions = null,
+    ignore = [],
+    defaults = {},
+    minCells = 1,
+    required = []
+  } = spec;
+  const { headers, rows } = table;
+
+  // Cell index -> record field, from the header texts
+  const byHeader = headers.map(header =>
+    Object.keys(columns).find(field => columns[field].includes(header)) || null);
+  const unknown = headers.filter((header, idx) => header && !byHeader[idx] && !ignore.includes(header));
+  const headersFit = byHeader.some(field => field !== null);
+
+  const records = [];
+  for (const cells of rows) {
+    // Spacer rows, and header rows repeated in the body, carry no data
+    if (cells.length === 0 || cells.join('|') === headers.join('|')) continue;
+    if (cells.length < minCells) {
+      reject({ reason: `${label} row has fewer than ${minCells} cells`, headers, cells });
+      continue;
+    }
+
+    const record = { ...defaults };
+    for (const [field, value] of Object.entries(base)) {
+      if (value || !(field in record)) record[field] = value;
+    }
+    // Rows whose cells do not line up with the headers are read by position when the spec allows it
+    const fields = positions && (!headersFit || cells.length !== headers.length) ? positions : byHeader;
+    fields.forEach((field, idx) => {
+      if (!field || idx >= cells.length) return;
+      if (cells[idx] || !(field in record)) record[field] = cells[idx];
+    });
+
+    // Unknown columns, and cells past the last position of a row read by position
+    const extras = {};
+    cells.forEach((value, idx) => {
+      if (fields === byHeader ? unknown.includes(headers[idx]) : idx >= fields.length) {
+        extras[headers[idx] || `列${idx + 1}`] = value;
+      }
+    });
+    record[EXTRAS_FIELD] = extras;
+
+    const missing = required.find(field => !record[field]);
+    if (missing) {
+      reject({ reason: `No ${missing} in ${label.toLowerCase()} row`, headers, cells });
+    } else if (!hasScore(record)) {
+      reject({ reason: `No score in ${label.toLowerCase()} row`, headers, cells });
+    } else {
+      records.push(record);
+    }
+  }
+  return { records, unknown };
+}
+
+/**
+ * Create a mapper over a school's table specs that reports unknown headers
+ * the first time each one is seen
+ * @param {Object} specs - Table name -> spec, the site config's `tables`
+ * @returns {Function} - `(name, table, base, reject) => records`
+ */
+function createTableMapper(specs) {
+  const reported = new Set();
+
+  return (name, table, base, reject) => {
+    const spec = specs[name];
+    const { records, unknown } = mapTable(table, spec, base, reject);
+    const fresh = unknown.filter(header => !reported.has(`${name}/${header}`));
+    if (fresh.length > 0) {
+      fresh.forEach(header => reported.add(`${name}/${header}`));
+      console.log(`Unknown headers in ${spec.label || name} (${spec.selector}): ${fresh.join(', ')}; ` +
+        `kept under ${EXTRAS_FIELD} until they are mapped in the site config's tables.${name}.columns or ignored`);
+    }
+    return records;
+  };
+}
+
+module.exports = {
+  EXTRAS_FIELD,
+  mapTable,
+  createTableMapper
+};
@@ -0,0 +1,249 @@
+/**
+ * Offline record/replay of site traffic
+ *
+ * `--record` saves every response the page receives (HTML, scripts, XHR
+ * JSON ...) into a per-request archive while a production scraper runs,
+ * tagged with the facet combination being walked. `--replay` serves the
+ * archive back to Puppeteer through request interception, so extractors can
+ * be changed and the output regenerated without touching the school's site,
+ * and recorded runs can be kept as deterministic fixtures.
+ *
+ * Archive layout (`output/traffic/<output file>/`):
+ *   index.jsonl   one line per response: key, url, method, request body, status, headers, body file, facets
+ *   bodies/       response bodies, one file per response
+ *
+ * The HTTP-only mode (./http_crawler.js) learns the site's query endpoints
+ * and their form fields from a recording.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_OUTPUT_DIR } = require('./output');
+
+// Query parameters that only bust caches; they are left out of the lookup key
+const CACHE_BUSTER_PARAMS = ['_', 't', 'timestamp', 'r', 'random'];
+
+// Headers that no longer describe a decoded, replayed body
+const DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+/**
+ * Directory of a scraper's archive
+ * @param {string} outputFile - Output file name of the scraper, e.g. bjtu_admission_scores.json
+ * @param {string} [dir] - Output directory (default: ./output)
+ * @returns {string} - Archive directory
+ */
+function archiveDir(outputFile, dir = DEFAULT_OUTPUT_DIR) {
+  return path.join(dir, 'traffic', outputFile);
+}
+
+/**
+ * Build the lookup key of a request
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {string} [postData] - Request body
+ * @returns {string} - Key such as `GET https://host/path?a=1`
+ */
+function requestKey(method, url, postData) {
+  let normalized = url;
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    for (const param of CACHE_BUSTER_PARAMS) parsed.searchParams.delete(param);
+    normalized = parsed.toString();
+  } catch (error) {
+    // Not a parseable URL (data: etc.), use it as is
+  }
+  return postData ? `${method} ${normalized} ${postData}` : `${method} ${normalized}`;
+}
+
+/**
+ * Read the index of a recording, in recording order
+ * @param {string} dir - Archive directory
+ * @returns {Array<Object>} - Entries as written by startRecording, empty when nothing was recorded
+ */
+function readIndex(dir) {
+  const indexFile = path.join(dir, 'index.jsonl');
+  if (!fs.existsSync(indexFile)) return [];
+  return fs.readFileSync(indexFile, 'utf8').split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+function extensionFor(contentType) {
+  if (/json/.test(contentType)) return '.json';
+  if (/html/.test(contentType)) return '.html';
+  if (/javascript/.test(contentType)) return '.js';
+  if (/css/.test(contentType)) return '.css';
+  return '.bin';
+}
+
+/**
+ * Open an archive for recording; every attached page saves the responses it receives
+ * @param {string} dir - Archive directory
+ * @returns {Object} - Recorder with attach(page) and close()
+ */
+function startRecording(dir) {
+  const bodiesDir = path.join(dir, 'bodies');
+  fs.mkdirSync(bodiesDir, { recursive: true });
+  // A new recording replaces the previous one
+  const indexFile = path.join(dir, 'index.jsonl');
+  fs.writeFileSync(indexFile, '', 'utf8');
+
+  let count = 0;
+  console.log(`Recording traffic to ${dir}`);
+
+  return {
+    mode: 'record',
+
+    /**
+     * Record one page's responses
+     * @param {import('puppeteer').Page} page - Puppeteer page, before its first navigation
+     * @returns {Promise<Object>} - Handle with setContext(selection) and stop()
+     */
+    async attach(page) {
+      let context = {};
+
+      const onResponse = async response => {
+        const request = response.request();
+        const url = response.url();
+        if (!/^https?:/.test(url)) return;
+
+        // Tag the response with the combination that was being walked when it arrived
+        const facets = context;
+        let body;
+        try {
+          body = await response.buffer();
+        } catch (error) {
+          // Redirects and aborted requests have no body
+          return;
+        }
+
+        const headers = response.headers();
+        const bodyFile = `${String(++count).padStart(6, '0')}${extensionFor(headers['content-type'] || '')}`;
+        fs.writeFileSync(path.join(bodiesDir, bodyFile), body);
+
+        const entry = {
+          key: requestKey(request.method(), url, request.postData()),
+          url,
+          method: request.method(),
+          postData: request.postData() || '',
+          resourceType: request.resourceType(),
+          status: response.status(),
+          headers,
+          bodyFile,
+          facets
+        };
+        // Append right away so an interrupted run still leaves a usable archive
+        fs.appendFileSync(indexFile, JSON.stringify(entry) + '\n', 'utf8');
+      };
+      page.on('response', onResponse);
+
+      return {
+        /** Tag the following responses with the current facet selection */
+        setContext(selection) {
+          context = { ...selection };
+        },
+
+        stop() {
+          page.off('response', onResponse);
+        }
+      };
+    },
+
+    close() {
+      console.log(`Recorded ${count} responses to ${dir}`);
+    }
+  };
+}
+
+/**
+ * Open an archive for replay; every attached page is served from it instead of the network
+ * @param {string} dir - Archive directory written by startRecording
+ * @returns {Object} - Replayer with attach(page) and close()
+ */
+function startReplay(dir) {
+  const indexFile = path.join(dir, 'index.jsonl');
+  if (!fs.existsSync(indexFile)) {
+    throw new Error(`No recorded traffic at ${indexFile}, run with --record first`);
+  }
+
+  // Later responses for the same request win, like they did in the recorded run
+  const entries = new Map(readIndex(dir).map(entry => [entry.key, entry]));
+  console.log(`Replaying ${entries.size} recorded responses from ${dir}`);
+
+  let misses = 0;
+  const onRequest = request => {
+    const url = request.url();
+    if (!/^https?:/.test(url)) {
+      request.continue();
+      return;
+    }
+
+    const entry = entries.get(requestKey(request.method(), url, request.postData()));
+    if (!entry) {
+      misses++;
+      console.log(`Not in recorded traffic, aborting: ${request.method()} ${url}`);
+      request.abort();
+      return;
+    }
+
+    const headers = Object.fromEntries(
+      Object.entries(entry.headers).filter(([name]) => !DROPPED_HEADERS.includes(name.toLowerCase()))
+    );
+    request.respond({
+      status: entry.status,
+      headers,
+      body: fs.readFileSync(path.join(dir, 'bodies', entry.bodyFile))
+    });
+  };
+
+  return {
+    mode: 'replay',
+
+    /**
+     * Serve one page from the archive
+     * @param {import('puppeteer').Page} page - Puppeteer page, before its first navigation
+     * @returns {Promise<Object>} - Handle with setContext(selection) and stop()
+     */
+    async attach(page) {
+      await page.setRequestInterception(true);
+      page.on('request', onRequest);
+
+      return {
+        // Nothing to tag while replaying
+        setContext() {},
+
+        stop() {
+          page.off('request', onRequest);
+        }
+      };
+    },
+
+    close() {
+      console.log(`Replay finished, ${misses} requests were not in the recorded traffic`);
+    }
+  };
+}
+
+/**
+ * Start recording or replaying for a scraper
+ * @param {string} outputFile - Output file name of the scraper
+ * @param {string|null} mode - 'record', 'replay' or null
+ * @param {string} [dir] - Output directory (default: ./output)
+ * @returns {Object|null} - Recorder/replayer (attach each page to it), or null when neither mode is on
+ */
+function openTrafficArchive(outputFile, mode, dir = DEFAULT_OUTPUT_DIR) {
+  if (mode === 'record') return startRecording(archiveDir(outputFile, dir));
+  if (mode === 'replay') return startReplay(archiveDir(outputFile, dir));
+  return null;
+}
+
+module.exports = {
+  CACHE_BUSTER_PARAMS,
+  archiveDir,
+  requestKey,
+  readIndex,
+  startRecording,
+  startReplay,
+  openTrafficArchive
+};
@@ -0,0 +1,88 @@
+/**
+ * Typing stage for numeric and text fields
+ *
+ * The scrapers and the BNU parser write every value as text, and use `""`
+ * both for "not published" and "not parsed" (BNU even has `"最低分排名": ","`).
+ * The canonical records (see ./schema.js) carry scores, ranks, plan counts
+ * and control lines as numbers instead:
+ *
+ *   "632", "643.42", "1,204", "632分"   -> 632, 643.42, 1204, 632
+ *   "", "-", "—", "/", "无"              -> null (not published)
+ *   ",", "600-610", "见备注"             -> null, and the original text is kept under 无法转换字段
+ *
+ * so nothing computed on the data has to parse it again, and values that
+ * could not be coerced can be reviewed instead of silently turning into gaps.
+ * Text fields keep their text, but the same placeholders and BNU's `","`
+ * become `""`, so e.g. a summary row with `"专业": ","` has no 专业.
+ */
+
+// Texts the sites and PDFs use for "no value"
+const PLACEHOLDERS = new Set([
+  '', '-', '--', '---', '—', '——', '–', '－', '/', '／', '\\', '*', '无', '暂无', '空', 'null', 'NULL', 'N/A', 'n/a'
+]);
+
+// BNU's PDF parser fills empty cells with a bare separator
+const TEXT_PLACEHOLDERS = new Set([...PLACEHOLDERS, ',', '，']);
+
+// Units written after a number, e.g. 632分, 1204名
+const UNIT_SUFFIX = /\s*(分|名|人|位)$/;
+
+const fullWidthToAscii = (text) => text.replace(/[０-９．，－]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0));
+
+/**
+ * Convert one value to a number
+ * @param {*} value - Source value, usually text
+ * @returns {Object} - `{ value }` with a number or null; `invalid` is set when the value
+ *   was neither a number nor a placeholder
+ */
+function toNumber(value) {
+  if (value === null || value === undefined) return { value: null };
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { value } : { value: null, invalid: true };
+  }
+
+  const text = fullWidthToAscii(String(value).trim());
+  if (PLACEHOLDERS.has(text)) return { value: null };
+
+  const digits = text
+    .replace(/(\d),(?=\d{3}(?!\d))/g, '$1')  // Thousands separators
+    .replace(UNIT_SUFFIX, '');
+  if (/^-?\d+(\.\d+)?$/.test(digits)) return { value: Number(digits) };
+  return { value: null, invalid: true };
+}
+
+/**
+ * Type the numeric fields of a record
+ * @param {Object} values - Field values
+ * @param {string[]} fields - Fields to convert
+ * @returns {Object} - `{ values, invalid }`: the values with those fields converted, and
+ *   field -> original text of the ones that could not be converted
+ */
+function typeFields(values, fields) {
+  const typed = { ...values };
+  const invalid = {};
+  for (const field of fields) {
+    const result = toNumber(values[field]);
+    typed[field] = result.value;
+    if (result.invalid) invalid[field] = values[field];
+  }
+  return { values: typed, invalid };
+}
+
+/**
+ * Clean one text value
+ * @param {*} value - Source value
+ * @returns {*} - The trimmed text, `""` for a placeholder; non-text values unchanged
+ */
+function toText(value) {
+  if (typeof value !== 'string') return value;
+  const text = value.trim();
+  return TEXT_PLACEHOLDERS.has(text) ? '' : text;
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  toNumber,
+  toText,
+  typeFields
+};
@@ -0,0 +1,102 @@
+/**
+ * State-aware waiting after a filter click
+ *
+ * Instead of a blind `sleep(2000)`, wait until the page has really settled:
+ * every XHR/fetch request started by the click has finished, no loading row
+ * is left in the table, and (when given) the clicked option is `.active`.
+ * An upper bound keeps a broken page from hanging the scrape.
+ */
+
+const DEFAULT_WAIT_TIMEOUT = 10000;
+
+// Rows/overlays the sites show while a table is loading
+const DEFAULT_LOADING_SELECTOR = 'tbody tr.loading, .el-loading-mask';
+
+// The page needs to stay settled this long before we trust it
+const QUIET_PERIOD = 300;
+const POLL_INTERVAL = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isXhr(request) {
+  const type = request.resourceType();
+  return type === 'xhr' || type === 'fetch';
+}
+
+/**
+ * Run an action (usually a click) and wait for the page to settle
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @param {Function} action - Async function that triggers the update
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Upper bound in milliseconds (default: 10000)
+ * @param {string} [options.loadingSelector] - Selector that is present while the table loads
+ * @param {Object} [options.active] - `{ selector, text }` link that must become `.active`
+ *   (ignored when none of the matched links is ever marked active)
+ * @returns {Promise<boolean>} - True when settled, false when the upper bound was hit
+ */
+async function clickAndWait(page, action, options = {}) {
+  const {
+    timeout = DEFAULT_WAIT_TIMEOUT,
+    loadingSelector = DEFAULT_LOADING_SELECTOR,
+    active = null
+  } = options;
+
+  // Count the XHR requests the click starts so we can wait for their responses
+  let pending = 0;
+  let responses = 0;
+  const onRequest = request => { if (isXhr(request)) pending++; };
+  const onDone = request => {
+    if (!isXhr(request)) return;
+    pending = Math.max(pending - 1, 0);
+    responses++;
+  };
+  page.on('request', onRequest);
+  page.on('requestfinished', onDone);
+  page.on('requestfailed', onDone);
+
+  try {
+    await action();
+
+    const start = Date.now();
+    let settledSince = null;
+    while (Date.now() - start < timeout) {
+      const domReady = await page.evaluate((loadingSelector, active) => {
+        if (loadingSelector && document.querySelector(loadingSelector)) return false;
+        if (!active) return true;
+        const isActive = el => el.classList.contains('active') ||
+          (el.parentElement && el.parentElement.classList.contains('active'));
+        const links = Array.from(document.querySelectorAll(active.selector));
+        // Sites that never mark an option active cannot be checked this way
+        if (!links.some(isActive)) return true;
+        const link = links.find(a => a.textContent.trim() === active.text);
+        return !!link && isActive(link);
+      }, loadingSelector, active);
+
+      if (domReady && pending === 0) {
+        if (settledSince === null) settledSince = Date.now();
+        // After a response give the table one more poll to render; without
+        // any request the DOM has to stay ready for the whole quiet period
+        const quiet = responses > 0 ? POLL_INTERVAL : QUIET_PERIOD;
+        if (Date.now() - settledSince >= quiet) {
+          return true;
+        }
+      } else {
+        settledSince = null;
+      }
+      await sleep(POLL_INTERVAL);
+    }
+
+    console.log(`Page did not settle within ${timeout}ms, continuing`);
+    return false;
+  } finally {
+    page.off('request', onRequest);
+    page.off('requestfinished', onDone);
+    page.off('requestfailed', onDone);
+  }
+}
+
+module.exports = {
+  DEFAULT_WAIT_TIMEOUT,
+  DEFAULT_LOADING_SELECTOR,
+  clickAndWait
+};
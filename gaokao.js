@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Unified command line for all schools
+ *
+ *   gaokao scrape <school> [options]   Scrape a school's admission scores (bjtu, bupt, buaa, xidian)
+ *   gaokao parse bnu [options]         Parse BNU's PDFs into JSONL
+ *   gaokao retry-failed <school>       Redo only the units that failed in the last run
+ *   gaokao check <school>              Check the school's page for selector drift, exits 1 on drift
+ *   gaokao eligible [school...]        Records a 选科 combination may apply to, from the output files
+ *
+ * Options are shared by every school, see common/cli_args.js.
+ */
+
+const { parseRunArgs } = require('./common/cli_args');
+const { SCHOOLS, run, check, eligible } = require('./index');
+
+const USAGE = `Usage:
+  gaokao scrape <bjtu|bupt|buaa|xidian> [options]
+  gaokao parse bnu [options]
+  gaokao retry-failed <bjtu|bupt|buaa|xidian|bnu> [options]
+  gaokao check <bjtu|bupt|buaa|xidian> [--replay] [--headful]
+  gaokao eligible [school...] --provinces 北京 --years 2024 --subjects 物/化/地
+
+Options:
+  --years 2024,2023       Only these years
+  --provinces 北京,上海    Only these provinces
+  --out DIR               Output directory (default: <school>/output)
+  --resume                Continue from the last checkpoint
+  --retry-failed          Same as the retry-failed command
+  --capture               Map the sites' JSON responses instead of the DOM where possible
+  --http                  Fetch pages without a browser (bjtu, bupt)
+  --record / --replay     Save the site traffic / serve it instead of the network
+  --concurrency N         Pages (or files) processed in parallel
+  --headful               Show the browser window (for debugging)
+  --debug                 Save a debug bundle of failed or empty extractions (<out>/debug/)
+  --pdfs DIR              PDF directory (bnu, default: bnu/pdfs)
+  --subjects 物/化/地      选科 (eligible; 理工 or 文史 in a 文理 province)
+  -h, --help              Show this help`;
+
+// One line per record: school and campus, group, major (or 概况) and plan type
+const describe = (record) => [
+  record['校区'] ? `${record['学校']}(${record['校区']})` : record['学校'],
+  record['专业组'] || '-',
+  record['专业'] || '概况',
+  record['计划类型'],
+  record['最低分'] === null ? '' : `最低分 ${record['最低分']}`
+].filter(Boolean).join('  ');
+
+/**
+ * Print an eligibility answer
+ * @param {Object} result - `{ student, eligible, excluded }` from eligible()
+ */
+function printEligibility({ student, eligible: open, excluded }) {
+  const subjects = student.subjects.length > 0 ? student.subjects.join('/') : student.track;
+  console.log(`${student.province} ${student.year} (${student.mode}, ${student.track}) ${subjects}`);
+  console.log(`\nOpen to the student (${open.length}):`);
+  open.forEach(({ record, notes }) =>
+    console.log(`  ${describe(record)}${notes.length > 0 ? `\n      note: ${notes.join('; ')}` : ''}`));
+  console.log(`\nExcluded (${excluded.length}):`);
+  excluded.forEach(({ record, reasons }) => console.log(`  ${describe(record)}\n      ${reasons.join('; ')}`));
+}
+
+/**
+ * Run one command
+ * @param {string[]} args - Command line arguments, e.g. process.argv.slice(2)
+ * @returns {Promise<*>} - Whatever the school's run function returns, null for help
+ */
+async function main(args) {
+  const options = parseRunArgs(args);
+  const [command, school] = options.positional;
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return null;
+  }
+
+  if (command === 'check') {
+    const result = await check(school, options);
+    // A drifted page fails the command, so the canary can run from cron or CI
+    if (!result.ok) process.exitCode = 1;
+    return result;
+  }
+
+  if (command === 'eligible') {
+    const [province, ...moreProvinces] = options.provinces || [];
+    const [year, ...moreYears] = options.years || [];
+    if (!province || !year || !options.subjects || moreProvinces.length > 0 || moreYears.length > 0) {
+      throw new Error('eligible needs one province (--provinces), one year (--years) and --subjects');
+    }
+    const schools = options.positional.slice(1);
+    const result = eligible({
+      province,
+      year,
+      subjects: options.subjects,
+      schools: schools.length > 0 ? schools : undefined,
+      dirs: options.outDir && schools.length === 1 ? { [schools[0]]: options.outDir } : undefined
+    });
+    printEligibility(result);
+    return result;
+  }
+
+  // retry-failed applies to every school, the other commands to their own schools
+  const retry = command === 'retry-failed';
+  const entry = SCHOOLS[school];
+  if (!entry || (!retry && entry.command !== command)) {
+    const known = Object.keys(SCHOOLS).filter(name => retry || SCHOOLS[name].command === command);
+    if (known.length === 0) throw new Error(`Unknown command "${command}"`);
+    throw new Error(`Unknown school "${school || ''}" for ${command}, expected one of: ${known.join(', ')}`);
+  }
+
+  return run(school, retry ? { ...options, retryFailed: true } : options).done;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(result => {
+      if (result !== null) console.log('Done');
+    })
+    .catch(error => {
+      console.error('Error:', error.message);
+      console.log(USAGE);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  main
+};
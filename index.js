@@ -0,0 +1,167 @@
+/**
+ * Library entry: run any school's scraper (or BNU's PDF parser) from code
+ *
+ *   const gaokao = require('gaokao-score');
+ *
+ *   const run = gaokao.run('bjtu', { years: ['2024'], provinces: ['北京', '上海'], concurrency: 2 });
+ *   run.on('record', (record, { unit }) => store.insert(record));
+ *   run.on('progress', ({ done, total }) => console.log(`${done}/${total}`));
+ *   run.on('error', (error, { unit }) => console.error(unit, error.message));
+ *   const records = await run.done;
+ *
+ * Options are the ones of the command line (see common/cli_args.js):
+ * `years`, `provinces`, `outDir`, `headless`, `concurrency`, `resume`,
+ * `capture`, `http`, `traffic`, `pdfDir`, `debug`, `retryFailed` (only the units
+ * in the last run's failure ledger, see common/failures.js), plus `sink`, an async
+ * `(record, { school, unit }) => {}` awaited for every record, so a slow
+ * store slows the run down instead of piling records up. Output files are
+ * written to `outDir` as on the command line. Events are described in
+ * common/run_events.js.
+ *
+ * eligible() answers which records a student may apply to from the files
+ * the runs wrote (see common/eligibility.js):
+ *
+ *   const { eligible, excluded } = gaokao.eligible({ province: '北京', year: '2024', subjects: '物/化/地' });
+ *   excluded.forEach(({ record, reasons }) => console.log(record['学校'], record['专业'], reasons));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { readRecords, listOutputFiles } = require('./common/output');
+const { normalizeRecords } = require('./common/normalize');
+const { describeStudent, queryEligibility } = require('./common/eligibility');
+
+// School -> its name in events, module, the function running it, its
+// selector drift canary (schools with a landing page) and its output: a
+// scraper's output file, or the pattern of BNU's per-PDF files. Modules are
+// required lazily so a school's dependencies are only needed when that school runs
+const SCHOOLS = {
+  bjtu: { name: '北京交通大学', command: 'scrape', module: './bjtu/production_scraper', run: 'scrape', check: 'check', outputFile: 'bjtu_admission_scores.json' },
+  bupt: { name: '北京邮电大学', command: 'scrape', module: './bupt/production_scraper', run: 'scrape', check: 'check', outputFile: 'bupt_admission_scores.json' },
+  buaa: { name: '北京航空航天大学', command: 'scrape', module: './buaa/production_scraper', run: 'scrape', check: 'check', outputFile: 'buaa_admission_scores.json' },
+  xidian: { name: '西安电子科技大学', command: 'scrape', module: './xidian/production_scraper', run: 'scrape', check: 'check', outputFile: 'xidian_admission_scores.json' },
+  bnu: { name: '北京师范大学', command: 'parse', module: './bnu/batch_pdf_processor', run: 'parse', outputFiles: /^bnu_admission_scores\..+\.\d{4}\.jsonl$/ }
+};
+
+/**
+ * Start a school's run
+ * @param {string} school - bjtu, bupt, buaa, xidian or bnu
+ * @param {Object} [options] - Run options, see above
+ * @returns {EventEmitter} - Emits 'record', 'progress', 'error' and 'end' (result);
+ *   `done` is a promise of the result (the records, or BNU's `{ total, successful, failed }`).
+ *   When the whole run fails, 'error' is emitted with a null unit instead of 'end' and
+ *   `done` rejects; callers listening to events only need not await it
+ */
+function run(school, options = {}) {
+  const entry = SCHOOLS[school];
+  if (!entry) {
+    throw new Error(`Unknown school "${school}", expected one of: ${Object.keys(SCHOOLS).join(', ')}`);
+  }
+
+  const events = new EventEmitter();
+  const runOptions = {
+    ...options,
+    // A retry restores everything that did not fail from the checkpoint
+    resume: options.resume || !!options.retryFailed,
+    outDir: options.outDir ? path.resolve(options.outDir) : path.join(__dirname, school, 'output'),
+    pdfDir: options.pdfDir ? path.resolve(options.pdfDir) : undefined,
+    events
+  };
+
+  // Run-level failures the scraper reported itself, emitted once
+  const reported = new Set();
+  events.on('error', (error, { unit }) => {
+    if (unit === null) reported.add(error);
+  });
+
+  // Start on the next tick so listeners attached right after the call see every event
+  events.done = new Promise(resolve => setImmediate(resolve))
+    .then(() => require(entry.module)[entry.run](runOptions))
+    .then(result => {
+      const value = result || [];
+      events.emit('end', value);
+      return value;
+    }, error => {
+      if (!reported.has(error)) events.emit('error', error, { school: entry.name, unit: null });
+      throw error;
+    });
+  // The rejection reaches 'error' listeners; only callers awaiting done see it again
+  events.done.catch(() => {});
+  return events;
+}
+
+/**
+ * Check a school's landing page for selector drift (see common/canary.js)
+ * @param {string} school - bjtu, bupt, buaa or xidian
+ * @param {Object} [options] - `headless`, `traffic` ('replay' checks the recorded pages), `outDir`
+ * @returns {Promise<Object>} - `{ school, ok, lines }`; `ok` is false when the page drifted
+ */
+async function check(school, options = {}) {
+  const entry = SCHOOLS[school];
+  if (!entry || !entry.check) {
+    const known = Object.keys(SCHOOLS).filter(name => SCHOOLS[name].check);
+    throw new Error(`No canary for "${school}", expected one of: ${known.join(', ')}`);
+  }
+
+  return require(entry.module)[entry.check]({
+    ...options,
+    outDir: options.outDir ? path.resolve(options.outDir) : path.join(__dirname, school, 'output')
+  });
+}
+
+/**
+ * Read a school's output files as canonical records: a scraper's main file,
+ * or its per-province files when it has none (see common/output.js), and
+ * BNU's per-PDF files
+ * @param {string} school - School code
+ * @param {string} dir - The school's output directory
+ * @returns {Array} - Canonical records, empty when the school has no output yet
+ */
+function readSchoolRecords(school, dir) {
+  const { outputFile, outputFiles } = SCHOOLS[school];
+  const files = outputFile ? listOutputFiles(outputFile, dir)
+    : fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => outputFiles.test(file)) : [];
+  if (files.length === 0) {
+    console.log(`No ${school} output in ${dir}, skipped`);
+    return [];
+  }
+
+  const records = [];
+  for (const file of files) {
+    try {
+      records.push(...normalizeRecords(readRecords(path.join(dir, file)), school));
+    } catch (error) {
+      console.error(`Error reading ${path.join(dir, file)}:`, error.message);
+    }
+  }
+  return records;
+}
+
+/**
+ * Records of every school a student may apply to, and why the others of
+ * their province and year are excluded
+ * @param {Object} query - `province`, `year`, `subjects` (物/化/地, or 理工/文史 in a 文理 province),
+ *   optionally `schools` (default: all) and `dirs`, school -> output directory (default: <school>/output)
+ * @returns {Object} - `{ student, eligible, excluded }`, see common/eligibility.js
+ */
+function eligible(query) {
+  const { schools = Object.keys(SCHOOLS), dirs = {} } = query;
+  const unknown = schools.filter(school => !SCHOOLS[school]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown school "${unknown.join(', ')}", expected one of: ${Object.keys(SCHOOLS).join(', ')}`);
+  }
+  // A bad province, year or combination fails before any file is read
+  describeStudent(query);
+
+  const records = schools.flatMap(school =>
+    readSchoolRecords(school, dirs[school] ? path.resolve(dirs[school]) : path.join(__dirname, school, 'output')));
+  return queryEligibility(records, query);
+}
+
+module.exports = {
+  SCHOOLS,
+  run,
+  check,
+  eligible
+};
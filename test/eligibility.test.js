@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeRecords } = require('../common/normalize');
+const { queryEligibility } = require('../common/eligibility');
+
+// BUAA publishes no 专业组, its subject restrictions are in 类型 (计划类型)
+const BUAA = normalizeRecords([
+  { '学校': '北京航空航天大学', '年份': '2023', '省市': '北京', '科类': '综合改革', '类型': '统招（限选物理）', '最低分': '660' },
+  { '学校': '北京航空航天大学', '年份': '2023', '省市': '北京', '科类': '综合改革', '类型': '统招（不限选考科目）', '最低分': '655' },
+  { '学校': '北京航空航天大学', '年份': '2023', '省市': '北京', '科类': '综合改革', '类型': '统招', '最低分': '650' }
+], 'buaa');
+
+const planTypes = (entries) => entries.map(({ record }) => record['计划类型']);
+
+test('excludes a 计划类型 restriction the student does not meet', () => {
+  const { eligible, excluded } = queryEligibility(BUAA, { province: '北京', year: '2023', subjects: '史/政/地' });
+  assert.deepStrictEqual(planTypes(excluded), ['统招（限选物理）']);
+  assert.match(excluded[0].reasons[0], /计划类型 "统招（限选物理）" requires 物理/);
+  assert.deepStrictEqual(planTypes(eligible), ['统招（不限选考科目）', '统招']);
+});
+
+test('keeps a 计划类型 restriction the student meets', () => {
+  const { eligible, excluded } = queryEligibility(BUAA, { province: '北京', year: '2023', subjects: '物/化/地' });
+  assert.deepStrictEqual(excluded, []);
+  assert.deepStrictEqual(planTypes(eligible), ['统招（限选物理）', '统招（不限选考科目）', '统招']);
+  // Only the plan naming no requirement is left unchecked
+  const unchecked = eligible.filter(({ notes }) => notes.some(note => /no 专业组/.test(note)));
+  assert.deepStrictEqual(planTypes(unchecked), ['统招']);
+});
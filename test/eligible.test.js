@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { eligible } = require('..');
+
+const BUPT = [
+  { '学校': '北京邮电大学', '类型': '统招', '专业': '', '专业组/选考科目': '普通理工科专业组', '年份': '2024', '省市': '北京', '科类': '综合改革', '最低分': '651' },
+  { '学校': '北京邮电大学', '类型': '统招', '专业': '', '专业组/选考科目': '文科专业组', '年份': '2024', '省市': '北京', '科类': '综合改革', '最低分': '640' }
+];
+const QUERY = { province: '北京', year: '2024', subjects: '物/化/地', schools: ['bupt'] };
+
+// An output directory holding the given files, records written as JSON lines; removed after the test
+const outputDir = (t, files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gaokao-eligible-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    const text = Array.isArray(content) ? content.map(record => JSON.stringify(record)).join('\n') : content;
+    fs.writeFileSync(path.join(dir, name), text, 'utf8');
+  }
+  return dir;
+};
+
+const recordsOf = (result) => [...result.eligible, ...result.excluded].map(({ record }) => record);
+
+test('reads the per-province files when there is no main file, without the sidecars', (t) => {
+  const dir = outputDir(t, {
+    'bupt_admission_scores.json.北京': BUPT,
+    'bupt_admission_scores.json.北京.pretty': JSON.stringify(BUPT, null, 2),
+    'bupt_admission_scores.json.checkpoint.json': JSON.stringify({ '省市': '北京', '年份': '2024', combinations: {} }),
+    'bupt_admission_scores.json.failures.json': JSON.stringify([{ '省市': '北京', '年份': '2024', error: 'Timeout' }]),
+    'bupt_admission_scores.json.rejected': JSON.stringify({ '省市': '北京', '年份': '2024', reason: 'Too few cells' })
+  });
+  const records = recordsOf(eligible({ ...QUERY, dirs: { bupt: dir } }));
+  assert.deepStrictEqual(records.map(record => record['专业组']).sort(), ['文科专业组', '普通理工科专业组'].sort());
+});
+
+test('prefers the main file over the per-province copies', (t) => {
+  const dir = outputDir(t, {
+    'bupt_admission_scores.json': BUPT,
+    'bupt_admission_scores.json.北京': BUPT,
+    'bupt_admission_scores.json.checkpoint.json': JSON.stringify({ '省市': '北京', '年份': '2024' })
+  });
+  assert.strictEqual(recordsOf(eligible({ ...QUERY, dirs: { bupt: dir } })).length, BUPT.length);
+});
+
+test('reads the per-year partitions when a run stopped before consolidating', (t) => {
+  const dir = outputDir(t, {
+    'bupt_admission_scores.json.北京.2024': BUPT,
+    'bupt_admission_scores.json.北京.2024.pretty': JSON.stringify(BUPT, null, 2)
+  });
+  assert.strictEqual(recordsOf(eligible({ ...QUERY, dirs: { bupt: dir } })).length, BUPT.length);
+});
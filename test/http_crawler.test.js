@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { endpointsFromTraffic } = require('../common/http_crawler');
+
+const QUERY_URL = 'https://zsw.example.edu.cn/zsw/api/lnfs';
+
+// A recorded XHR, tagged with the selection walked when it arrived
+const xhr = (facets, postData, extra = {}) => ({
+  key: `POST ${QUERY_URL} ${postData}`,
+  url: QUERY_URL,
+  method: 'POST',
+  postData,
+  resourceType: 'xhr',
+  status: 200,
+  facets,
+  ...extra
+});
+
+test('learns which form field carries each facet', () => {
+  const endpoints = endpointsFromTraffic([
+    // The landing page's own requests are not tagged with a selection
+    xhr({}, 'type=lnfs'),
+    { ...xhr({ zsnf: '2024' }, ''), url: 'https://zsw.example.edu.cn/zsw/lnfs.html', resourceType: 'document' },
+    xhr({ zsnf: '2024' }, 'type=lnfs&nf=2024&_=1700000000001'),
+    xhr({ zsnf: '2024', ssmc: '北京' }, 'type=lnfs&nf=2024&sf=%E5%8C%97%E4%BA%AC&_=1700000000002'),
+    xhr({ zsnf: '2023', ssmc: '上海' }, 'type=lnfs&nf=2023&sf=%E4%B8%8A%E6%B5%B7&_=1700000000003')
+  ]);
+  assert.deepStrictEqual(endpoints, [{
+    url: QUERY_URL,
+    method: 'post',
+    format: 'form',
+    params: { type: 'lnfs' },
+    fields: { zsnf: 'nf', ssmc: 'sf' }
+  }]);
+});
+
+test('reads JSON bodies, and bodies of recordings that only kept the key', () => {
+  const { postData, ...legacy } = xhr({ zsnf: '2023' }, '{"year":"2023","page":1}');
+  const endpoints = endpointsFromTraffic([xhr({ zsnf: '2024' }, '{"year":"2024","page":1}'), legacy]);
+  assert.deepStrictEqual(endpoints.map(({ format, params, fields }) => ({ format, params, fields })),
+    [{ format: 'json', params: { page: '1' }, fields: { zsnf: 'year' } }]);
+});
+
+test('skips requests that carry no facet', () => {
+  assert.deepStrictEqual(endpointsFromTraffic([xhr({ zsnf: '2024' }, 'visit=1')]), []);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeRecord } = require('../common/normalize');
+
+// The province summary row of BNU's 2024 Beijing PDF, as the parser writes it
+const BNU_SUMMARY = {
+  学校: '北京师范大学', 校区: '北京校区', 年份: '2024', 计划类型: '普通类', 省市: '北京', 科类: '综合改革',
+  '院（系）': ',', 专业: ',', 招生计划: '2', 最低分: '96', 最高分: '425',
+  最低分排名: ',', 普通类调档线: ',', 普通类全市位次: ','
+};
+
+test('reads BNU placeholders in text fields as empty', () => {
+  const record = normalizeRecord(BNU_SUMMARY, 'bnu');
+  assert.strictEqual(record['专业'], '');
+  assert.strictEqual(record['院（系）'], '');
+  assert.strictEqual(record['层级'], '概况');
+});
+
+test('keeps numeric placeholders reviewable', () => {
+  const record = normalizeRecord(BNU_SUMMARY, 'bnu');
+  assert.strictEqual(record['最低分'], 96);
+  assert.strictEqual(record['最低分排名'], null);
+  assert.deepStrictEqual(record['无法转换字段'], { 最低分排名: ',', 调档线: ',', 调档线位次: ',' });
+});
+
+test('keeps the major of a BNU major row', () => {
+  const record = normalizeRecord({ ...BNU_SUMMARY, '院（系）': '历史学院', 专业: '历史学类' }, 'bnu');
+  assert.strictEqual(record['专业'], '历史学类');
+  assert.strictEqual(record['院（系）'], '历史学院');
+  assert.strictEqual(record['层级'], '专业');
+});
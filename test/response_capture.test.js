@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { mapResponseRows } = require('../common/response_capture');
+
+const SYNONYMS = {
+  专业: ['zymc', 'major'],
+  最低分: ['zdf', 'minScore']
+};
+
+test('keeps the JSON keys no field maps under extras', () => {
+  const payloads = [{
+    url: 'https://zsw.example.edu.cn/zsw/api/lnfs',
+    data: { code: 0, data: { list: [
+      { zymc: '计算机类', zdf: 640, major: '', bz: ' 中外合作 ', xz: 4, dm: null }
+    ] } }
+  }];
+  assert.deepStrictEqual(mapResponseRows(payloads, SYNONYMS, { 学校: '北京交通大学' }), [{
+    学校: '北京交通大学',
+    专业: '计算机类',
+    最低分: '640',
+    // `major` is a known synonym, empty and null values carry nothing
+    extras: { bz: '中外合作', xz: '4' }
+  }]);
+});
+
+test('skips rows without a score', () => {
+  const payloads = [{ data: [{ zymc: '计算机类', bz: '新增' }] }];
+  assert.deepStrictEqual(mapResponseRows(payloads, SYNONYMS, {}), []);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { STATUS, parseGroup } = require('../common/subject_requirements');
+
+test('reads the requirement of a numbered group', () => {
+  assert.deepStrictEqual(parseGroup('第01组（物理+化学）'),
+    { group: '01', required: ['物理', '化学'], either: [], status: STATUS.PARSED });
+  assert.deepStrictEqual(parseGroup('专业组(02)：不限'),
+    { group: '02', required: [], either: [], status: STATUS.PARSED });
+});
+
+test('leaves a numbered group without requirement text unparsed', () => {
+  for (const label of ['03组', '第02组', '第 04 专业组', '05组（）']) {
+    const parsed = parseGroup(label);
+    assert.strictEqual(parsed.status, STATUS.UNPARSED, label);
+    assert.deepStrictEqual([parsed.required, parsed.either], [[], []], label);
+  }
+});
+
+test('reads the legacy track groups as no subject requirement', () => {
+  for (const label of ['普通理工科专业组', '文科专业组', '理工', '文史', '理工-詹天佑']) {
+    assert.deepStrictEqual(parseGroup(label),
+      { group: label, required: [], either: [], status: STATUS.PARSED }, label);
+  }
+});
+
+test('leaves groups named after a programme unparsed', () => {
+  for (const label of ['元班专业组', '国际学院中外合作办学专业组']) {
+    assert.strictEqual(parseGroup(label).status, STATUS.UNPARSED, label);
+  }
+});
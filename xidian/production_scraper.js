@@ -1,72 +1,133 @@
 const puppeteer = require('puppeteer');
-const fs = require('fs');
+const { openCheckpoint } = require('../common/checkpoint');
+const { clickAndWait } = require('../common/wait');
+const { checkSelection } = require('../common/selection_check');
+const { saveToFile, consolidatePartitions, DEFAULT_OUTPUT_DIR } = require('../common/output');
+const { startResponseCapture, mapResponseRows } = require('../common/response_capture');
+const { openTrafficArchive } = require('../common/traffic_archive');
+const { DEFAULT_CONCURRENCY, createRateLimiter, runPool } = require('../common/pool');
+const { parseRunArgs } = require('../common/cli_args');
+const { createReporter } = require('../common/run_events');
+const { openRejects } = require('../common/rejects');
+const { failuresToRetry, openFailureLedger, retryScope } = require('../common/failures');
+const { openDebugBundles } = require('../common/debug_bundle');
+const { runCanary } = require('../common/canary');
+const { createTableMapper } = require('../common/table_mapping');
+const { PROVINCES, provinceSpellings } = require('../common/provinces');
+const siteConfig = require('./site_config');
 
-// URL of the target website - use the main admissions page
-const TARGET_URL = 'https://zsxc.xidian.edu.cn';
-const OUTPUT_FILE = 'xidian_admission_scores.json';
+const SCORES_URL = siteConfig.targetUrl;
+const OUTPUT_FILE = siteConfig.outputFile;
+const WAIT_TIMEOUT = siteConfig.waitTimeout;
+const RESPONSE_FIELDS = siteConfig.responseFields;
+const SCORES_TABLE = siteConfig.tables.scores.selector;
 
-// Define years to scrape
-const YEARS = ['2024', '2023', '2022', '2021'];
+// Header mapping of the score tables, see site_config.js
+const mapTable = createTableMapper(siteConfig.tables);
 
-// Sleep function to avoid overwhelming the server with configurable jitter for more natural timing
-const sleep = (ms) => {
-  const jitter = Math.floor(Math.random() * 2000); // Add up to 2 seconds of random jitter
-  return new Promise(resolve => setTimeout(resolve, ms + jitter));
-};
+// Attempts per province (reloading the page in between) and per year, and the base delay between attempts
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 2000;
+
+// Names the province selector may show: registry provinces (../common/provinces.js) and 全国
+const PROVINCE_NAMES = [...PROVINCES.map(province => province.name), '全国'];
+
+// Backoff between retries; the pace of a normal run is set by the rate limiter
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait for the SPA to render its province selector after a navigation
+async function waitForProvinces(page) {
+  await page.waitForFunction((names) => Array.from(document.querySelectorAll('a, button, option, li, span'))
+    .some(el => names.includes(el.textContent.trim())), { timeout: 60000 }, PROVINCE_NAMES);
+}
 
-async function scrapeAdmissionScores() {
+// Open a page on the historical scores page
+async function openScoresPage(browser, archive, options, debug) {
+  const page = await browser.newPage();
+  if (debug) debug.watch(page);
+  
+  // Add event listeners for debugging
+  page.on('console', msg => console.log('PAGE CONSOLE:', msg.text()));
+  page.on('pageerror', error => console.log('PAGE ERROR:', error.message));
+  
+  // In capture mode the table API's JSON is mapped directly, DOM extraction is the fallback
+  const capture = options.capture ? startResponseCapture(page) : null;
+  
+  // --record saves the site traffic, --replay serves it instead of the network
+  const traffic = archive ? await archive.attach(page) : null;
+  
+  // Set viewport to a reasonable size
+  await page.setViewport({ width: 1366, height: 768 });
+  
+  // Set longer navigation timeouts
+  page.setDefaultNavigationTimeout(60000);
+  page.setDefaultTimeout(60000);
+  
+  // Navigate directly to the historical scores page
+  console.log(`Navigating directly to historical scores page: ${SCORES_URL}`);
+  await page.goto(SCORES_URL, { 
+    waitUntil: 'networkidle2',
+    timeout: 60000
+  });
+  
+  console.log('Historical scores page loaded successfully');
+  await waitForProvinces(page);
+  console.log('On historical scores page');
+  
+  return { page, capture, traffic };
+}
+
+/**
+ * Scrape XIDIAN with the shared run options (see ../common/cli_args.js)
+ * @param {Object} [options] - `years`, `provinces`, `outDir`, `resume`, `retryFailed`, `capture`, `traffic`, `concurrency`, `headless`,
+ *   and `events`/`sink` for library callers (see ../common/run_events.js)
+ * @returns {Promise<Array>} - All extracted records
+ */
+async function scrapeAdmissionScores(options = {}) {
+  const { concurrency = DEFAULT_CONCURRENCY, outDir = DEFAULT_OUTPUT_DIR, headless = true } = options;
   console.log('Starting production scraper for XIDIAN...');
   
+  // Read the last run's failures before this run's ledger replaces them
+  const retry = failuresToRetry(OUTPUT_FILE, options);
+  if (retry && retry.length === 0) {
+    console.log('No failed units to retry');
+    return [];
+  }
+  const scope = retry ? retryScope(retry) : null;
+  
   // Launch the browser with more time and settings to handle complex pages
   console.log('Launching browser...');
   const browser = await puppeteer.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-web-security', '--disable-features=IsolateOrigins,site-per-process'],
+    headless,
+    args: siteConfig.launchArgs,
     timeout: 90000  // Increased timeout to 90 seconds
   });
   console.log('Browser launched successfully');
   
+  const archive = openTrafficArchive(OUTPUT_FILE, options.traffic, outDir);
+  // All workers share one rate limit on the site
+  const limiter = createRateLimiter(siteConfig.requestInterval);
+  const ledger = openFailureLedger(OUTPUT_FILE, { school: siteConfig.school, dir: outDir });
+  const reporter = createReporter(siteConfig.school, options, ledger);
+  // Rows that cannot be extracted go to <output>.rejected instead of the dataset
+  const rejects = openRejects(OUTPUT_FILE, { resume: options.resume, dir: outDir });
+  // --debug saves the page of failed or empty extractions
+  const debug = openDebugBundles(options, outDir);
   try {
-    // Open a new page
-    const page = await browser.newPage();
-    
-    // Add event listeners for debugging
-    page.on('console', msg => console.log('PAGE CONSOLE:', msg.text()));
-    page.on('pageerror', error => console.log('PAGE ERROR:', error.message));
-    
-    // Set viewport to a reasonable size
-    await page.setViewport({ width: 1366, height: 768 });
-    
-    // Set longer navigation timeouts
-    page.setDefaultNavigationTimeout(60000);
-    page.setDefaultTimeout(60000);
-    
-    // Navigate directly to the historical scores page
-    const SCORES_URL = 'https://zsxc.xidian.edu.cn/auth/zsdata/lqxx/#/lnfs';
-    console.log(`Navigating directly to historical scores page: ${SCORES_URL}`);
-    await page.goto(SCORES_URL, { 
-      waitUntil: 'networkidle2',
-      timeout: 60000
-    });
-    
-    console.log('Historical scores page loaded successfully');
-    await sleep(3000);
-    
-    // Take a screenshot of the scores page
-    await page.screenshot({ path: 'scores_page.png' });
-    console.log('On historical scores page');
+    // Completed combinations are checkpointed so a --resume run can skip them
+    const checkpoint = openCheckpoint(OUTPUT_FILE, { resume: options.resume, dir: outDir });
     
-    // Store all results
-    const allResults = [];
+    // One page per worker, opened when the worker takes its first province
+    const pages = [];
+    const pageFor = async (workerId) => {
+      if (!pages[workerId]) pages[workerId] = await openScoresPage(browser, archive, options, debug);
+      return pages[workerId];
+    };
+    const { page } = await pageFor(0);
     
-    // Get list of all provinces from the page
-    const provinces = await page.evaluate(() => {
-      // This looks for text content that contains province names
-      const knownProvinces = ['北京', '上海', '陕西', '天津', '河北', '山西', '内蒙古', '辽宁', 
-                             '吉林', '黑龙江', '江苏', '浙江', '安徽', '福建', '江西', '山东',
-                             '河南', '湖北', '湖南', '广东', '广西', '海南', '重庆', '四川',
-                             '贵州', '云南', '西藏', '甘肃', '青海', '宁夏', '新疆', '全国'];
-      
+    // Get list of all provinces from the page: texts naming a registry province
+    // (../common/provinces.js), or 全国, which the site offers as well
+    const provinces = await page.evaluate((knownProvinces) => {
       // Collect all province names found on the page
       const foundProvinces = new Set();
       
@@ -103,7 +164,7 @@ async function scrapeAdmissionScores() {
       }
       
       return Array.from(foundProvinces);
-    });
+    }, PROVINCE_NAMES);
     
     console.log(`Found ${provinces.length} provinces: ${provinces.join(', ')}`);
     
@@ -134,367 +195,437 @@ async function scrapeAdmissionScores() {
       
       if (provinceSelectionArea) {
         console.log(`Found potential province selection area: ${provinceSelectionArea.text}`);
-        await page.mouse.click(provinceSelectionArea.x, provinceSelectionArea.y);
-        await sleep(2000);
+        await limiter.wait(SCORES_URL);
+        await clickAndWait(page, () => page.mouse.click(provinceSelectionArea.x, provinceSelectionArea.y), { timeout: WAIT_TIMEOUT });
       }
     }
     
-    // Try to get data for all provinces
-    for (const province of provinces) {
-      // Skip problematic provinces for now
-      if (['青海', '宁夏', '新疆'].includes(province)) {
-        console.log(`Skipping potentially problematic province: ${province}`);
-        continue;
+    // Only the requested provinces (--provinces, any spelling), all of them by default
+    const requested = options.provinces ? provinceSpellings(options.provinces) : null;
+    const targetProvinces = requested
+      ? provinces.filter(province => requested.includes(province))
+      : provinces;
+    
+    // Try to get data for all provinces, spread over the workers
+    const resultsByProvince = await runPool(targetProvinces, concurrency, async (province, index, workerId) => {
+      if (checkpoint.isDone({ '省市': province }) || (scope && !scope({ '省市': province }))) {
+        const stored = checkpoint.getRecords({ '省市': province });
+        console.log(`Skipping province ${province} (${checkpoint.isDone({ '省市': province }) ? 'done in checkpoint' : 'did not fail'}, ${stored.length} records)`);
+        await reporter.unitDone({ '省市': province }, stored, targetProvinces.length);
+        return stored;
       }
       
-      console.log(`Attempting to get data for province: ${province}`);
-      
-      // Try to find and click on the province with retry
-      let found = false;
-      let retries = 0;
-      
-      while (!found && retries < 3) {
-        try {
-          found = await page.evaluate((provinceName) => {
-            // Try various methods to find province elements
-            
-            // Method 1: Look for links or buttons with province text
-            const links = Array.from(document.querySelectorAll('a, button'));
-            const provinceLink = links.find(el => el.textContent.trim() === provinceName);
-            if (provinceLink) {
-              provinceLink.click();
-              return true;
-            }
-            
-            // Method 2: Look for province text in any element and click it
-            const elements = Array.from(document.querySelectorAll('*'));
-            for (const el of elements) {
-              if (el.childNodes.length < 5 && el.textContent.trim() === provinceName) {
-                el.click();
-                return true;
-              }
-            }
-            
-            // Method 3: Try to find a select element and select the province
-            const selects = Array.from(document.querySelectorAll('select'));
-            for (const select of selects) {
-              const option = Array.from(select.options).find(opt => opt.textContent.trim() === provinceName);
-              if (option) {
-                select.value = option.value;
-                const event = new Event('change', { bubbles: true });
-                select.dispatchEvent(event);
-                return true;
-              }
-            }
-            
-            return false;
-          }, province);
-          
-          if (!found) {
-            retries++;
-            console.log(`Retry ${retries} for province: ${province}...`);
-            await sleep(2000);
-          }
-        } catch (error) {
-          console.error(`Error clicking province ${province}:`, error);
-          retries++;
-          await sleep(2000);
-        }
-      }
+      const { page, capture, traffic } = await pageFor(workerId);
+      console.log(`[worker ${workerId + 1}] Province ${index + 1}/${targetProvinces.length}: ${province}`);
       
-      if (found) {
-        console.log(`Selected province: ${province}`);
-        await sleep(3000);
+      // A province that failed partway is retried on a freshly loaded page; finished years come from the checkpoint
+      let outcome;
+      for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        outcome = await scrapeProvince(page, province, { checkpoint, capture, traffic, limiter, rejects, debug, scope, years: options.years || null, outDir });
+        if (outcome.complete || attempt === MAX_ATTEMPTS) break;
         
-        // Take a screenshot after province selection
-        await page.screenshot({ path: `province_${province}.png` });
-        
-        // Now try each year for this province
-        for (const year of YEARS) {
-          console.log(`Attempting to get data for year: ${year}`);
-          
-          // Try to find and click on the year with retries
-          let yearFound = false;
-          let yearRetries = 0;
-          
-          while (!yearFound && yearRetries < 3) {
-            try {
-              yearFound = await page.evaluate((yearValue) => {
-                try {
-                  // Look for year selector or dropdown
-                  const yearSelects = Array.from(document.querySelectorAll('select'));
-                  for (const select of yearSelects) {
-                    // Check if this select has year options
-                    const hasYearOption = Array.from(select.options).some(opt => 
-                      opt.textContent.includes(yearValue) || opt.value.includes(yearValue)
-                    );
-                    
-                    if (hasYearOption) {
-                      // Find and select the year option
-                      const yearOption = Array.from(select.options).find(opt => 
-                        opt.textContent.includes(yearValue) || opt.value.includes(yearValue)
-                      );
-                      
-                      if (yearOption) {
-                        select.value = yearOption.value;
-                        const event = new Event('change', { bubbles: true });
-                        select.dispatchEvent(event);
-                        return true;
-                      }
-                    }
-                  }
-                  
-                  // If no select found, look for year buttons or links
-                  const links = Array.from(document.querySelectorAll('a, button, span, div'));
-                  const yearLink = links.find(el => el.textContent.trim() === yearValue);
-                  if (yearLink) {
-                    yearLink.click();
-                    return true;
-                  }
-                  
-                  // If no explicit year selection found, check if we're already on the year we want
-                  // (this is the case if the website defaults to the most recent year)
-                  const pageText = document.body.textContent;
-                  if (pageText.includes(yearValue)) {
-                    console.log(`Page already has data for year ${yearValue}`);
-                    return true;
-                  }
-                  
-                  return false;
-                } catch (e) {
-                  console.error('Error selecting year:', e);
-                  return false;
-                }
-              }, year);
-              
-              if (!yearFound) {
-                yearRetries++;
-                console.log(`Retry ${yearRetries} for year: ${year}...`);
-                await sleep(2000);
-              }
-            } catch (error) {
-              console.error(`Error selecting year ${year}:`, error);
-              yearRetries++;
-              await sleep(2000); 
-            }
-          }
-          
-          if (yearFound) {
-            console.log(`Selected or confirmed year: ${year}`);
-            await sleep(3000); // Increased wait time after year selection
-            
-            // Now try to extract the data from the page
-            const results = await extractDataFromPage(page, province, year);
-            if (results.length > 0) {
-              console.log(`Extracted ${results.length} records for province ${province}, year ${year}`);
-              allResults.push(...results);
-              
-              // Save province+year data
-              saveToFile(results, `${OUTPUT_FILE}.${province}.${year}`);
-            } else {
-              console.log(`No data extracted for province ${province}, year ${year}`);
-            }
-          } else {
-            console.log(`Could not find/select year: ${year} for province ${province}`);
-          }
-          
-          // Add a delay between years
-          await sleep(3000);
-        }
-      } else {
-        console.log(`Could not find/select province: ${province}`);
+        console.log(`Province ${province} incomplete, reloading the page for attempt ${attempt + 1}/${MAX_ATTEMPTS}...`);
+        await sleep(RETRY_DELAY * attempt);
+        await page.goto(SCORES_URL, { waitUntil: 'networkidle2', timeout: 60000 });
+        await waitForProvinces(page);
       }
       
-      // Add a longer delay between provinces to avoid rate limiting
-      console.log(`Waiting between province requests...`);
-      await sleep(8000);
-    }
+      const provinceResults = outcome.results;
+      if (outcome.complete) {
+        checkpoint.markFinished({ '省市': province });
+      }
+      for (const failure of outcome.failures) {
+        reporter.error(failure.error, failure.unit, failure.artifacts);
+      }
+      await reporter.unitDone({ '省市': province }, provinceResults, targetProvinces.length);
+      return provinceResults;
+    }, (error, province) => reporter.error(error, { '省市': province }));
+    
+    const allResults = resultsByProvince.flatMap(results => results || []);
     
     // Save all results if any data was collected
     if (allResults.length > 0) {
-      saveToFile(allResults, OUTPUT_FILE);
+      saveToFile(allResults, OUTPUT_FILE, outDir);
       console.log(`Saved all ${allResults.length} records to ${OUTPUT_FILE}`);
     } else {
       console.log('No data was extracted');
     }
     
+    // Per-province files across every year scraped so far
+    consolidatePartitions(OUTPUT_FILE, outDir);
+    
+    return allResults;
   } catch (error) {
     console.error('Error during scraping:', error);
+    reporter.error(error, null);
+    throw error;
   } finally {
+    rejects.close();
+    ledger.close();
+    if (archive) archive.close();
     await browser.close();
     console.log('Browser closed');
   }
 }
 
-// More flexible data extraction function to handle different page structures
-async function extractDataFromPage(page, province, year) {
-  console.log(`Extracting data for province ${province}...`);
+/**
+ * Select one province and extract every year its year selector offers
+ * @param {import('puppeteer').Page} page - This worker's page
+ * @param {string} province - Province to select
+ * @param {Object} context - `{ checkpoint, capture, traffic, limiter, rejects, debug }` of this worker, the `years` to keep (null for all),
+ *   the retry-failed `scope` (years outside it are restored from the checkpoint) and `outDir`
+ * @returns {Promise<{results: Array, complete: boolean, failures: Array}>} - The province's records, whether every year
+ *   succeeded, and `{ error, unit, artifacts }` for what failed
+ */
+async function scrapeProvince(page, province, { checkpoint, capture, traffic, limiter, rejects, debug = null, scope = null, years: yearFilter, outDir }) {
+  const provinceResults = [];
+  const failures = [];
+  // A failure, with the page's debug bundle under --debug
+  const failure = async (error, unit) => ({ error, unit, artifacts: debug ? await debug.save(page, unit, error.message) : undefined });
   
-  try {
-    // Wait for any data table to appear with increased timeout and retry mechanism
+  console.log(`Attempting to get data for province: ${province}`);
+  
+  // Try to find and click on the province with retry
+  let found = false;
+  let retries = 0;
+  
+  while (!found && retries < MAX_ATTEMPTS) {
     try {
-      await page.waitForSelector('table', { timeout: 30000 });
-    } catch (error) {
-      console.log(`Timeout waiting for table in province ${province}, year ${year}. Retrying...`);
-      // Reload page and try again
-      await page.reload({ waitUntil: 'networkidle2', timeout: 30000 });
-      try {
-        await page.waitForSelector('table', { timeout: 30000 });
-      } catch (retryError) {
-        console.error(`Failed to find table after retry for province ${province}, year ${year}:`, retryError);
-        return [];
+      if (capture) capture.clear();
+      if (traffic) traffic.setContext({ '省市': province });
+      await limiter.wait(SCORES_URL);
+      await clickAndWait(page, async () => {
+        found = await page.evaluate((provinceName) => {
+          // Try various methods to find province elements
+        
+          // Method 1: Look for links or buttons with province text
+          const links = Array.from(document.querySelectorAll('a, button'));
+          const provinceLink = links.find(el => el.textContent.trim() === provinceName);
+          if (provinceLink) {
+            provinceLink.click();
+            return true;
+          }
+        
+          // Method 2: Look for province text in any element and click it
+          const elements = Array.from(document.querySelectorAll('*'));
+          for (const el of elements) {
+            if (el.childNodes.length < 5 && el.textContent.trim() === provinceName) {
+              el.click();
+              return true;
+            }
+          }
+        
+          // Method 3: Try to find a select element and select the province
+          const selects = Array.from(document.querySelectorAll('select'));
+          for (const select of selects) {
+            const option = Array.from(select.options).find(opt => opt.textContent.trim() === provinceName);
+            if (option) {
+              select.value = option.value;
+              const event = new Event('change', { bubbles: true });
+              select.dispatchEvent(event);
+              return true;
+            }
+          }
+        
+          return false;
+        }, province);
+      }, { timeout: WAIT_TIMEOUT });
+      
+      // A missed click leaves the previous province's table on the page
+      if (found) {
+        const problem = await checkSelection(page, { expect: { '省市': province } });
+        if (problem) {
+          console.log(`Selecting province ${province} did not take effect (${problem})`);
+          found = false;
+        }
       }
+      
+      if (!found) {
+        retries++;
+        console.log(`Retry ${retries} for province: ${province}...`);
+        await sleep(RETRY_DELAY);
+      }
+    } catch (error) {
+      console.error(`Error clicking province ${province}:`, error);
+      retries++;
+      await sleep(RETRY_DELAY);
+    }
+  }
+  
+  if (!found) {
+    console.log(`Could not find/select province: ${province}`);
+    failures.push(await failure(new Error(`Could not find/select province ${province}`), { '省市': province }));
+    return { results: provinceResults, complete: false, failures };
+  }
+  
+  console.log(`Selected province: ${province}`);
+  
+  // Years come from the page's own year selector, narrowed by --years
+  const pageYears = await discoverYears(page);
+  console.log(`Found ${pageYears.length} years for province ${province}: ${pageYears.join(', ')}`);
+  if (pageYears.length === 0) {
+    failures.push(await failure(new Error(`No year selector found for province ${province}`), { '省市': province }));
+    return { results: provinceResults, complete: false, failures };
+  }
+  const years = yearFilter ? pageYears.filter(year => yearFilter.includes(year)) : pageYears;
+  
+  let provinceComplete = true;
+  for (const year of years) {
+    const combination = { '省市': province, '年份': year };
+    if (checkpoint.isDone(combination) || (scope && !scope(combination))) {
+      const stored = checkpoint.getRecords(combination);
+      console.log(`Skipping year ${year} for province ${province} (${checkpoint.isDone(combination) ? 'done in checkpoint' : 'did not fail'})`);
+      provinceResults.push(...stored);
+      continue;
     }
     
-    // Take a screenshot of the table
-    await page.screenshot({ path: `table_${province}.png` });
+    console.log(`Attempting to get data for year: ${year}`);
     
-    // More flexible data extraction that tries different approaches
-    const tableData = await page.evaluate((school, province, year) => {
-      const results = [];
-      
-      // Look for tables on the page
-      const tables = document.querySelectorAll('table');
-      console.log(`Found ${tables.length} tables on the page`);
-      
-      for (const table of tables) {
-        // Get table headers
-        const headers = Array.from(table.querySelectorAll('thead th, tr:first-child th, tr:first-child td'))
-          .map(th => th.textContent.trim());
-        console.log('Table headers:', headers);
-        
-        // Print all headers to help with debugging
-        console.log('Raw headers:', JSON.stringify(headers));
-        
-        // Get all rows
-        const rows = Array.from(table.querySelectorAll('tbody tr, tr:not(:first-child)'));
-        
-        // Accept any table with enough rows as potentially containing data
-        // We were being too strict before, so now we'll try to extract data from all tables
-        if (rows.length <= 1) {
-          console.log(`Table has only ${rows.length} rows, skipping`);
-          continue;
+    // Select the year and extract it, until the table really shows that year
+    let results = null;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS && results === null; attempt++) {
+      try {
+        if (capture) capture.clear();
+        if (traffic) traffic.setContext(combination);
+        await limiter.wait(SCORES_URL);
+        let yearFound = false;
+        await clickAndWait(page, async () => {
+          yearFound = await selectYear(page, year);
+        }, { timeout: WAIT_TIMEOUT });
+        if (!yearFound) {
+          throw new Error(`Year ${year} not found in the year selector`);
+        }
+        const problem = await checkSelection(page, { expect: { '省市': province, '年份': year } });
+        if (problem) {
+          throw new Error(`Selecting year ${year} did not take effect (${problem})`);
         }
+        console.log(`Selected year: ${year}`);
         
+        // Rejected rows are only recorded for the attempt that is kept
+        const rejected = [];
+        const extracted = await extractYear(page, province, year, capture, row => rejected.push(row));
         
-        for (const row of rows) {
-          const cells = Array.from(row.querySelectorAll('td'));
-          if (cells.length < 3) continue; // Skip rows with too few cells
-          
-          // Try to map cells to our data model
-          const result = {
-            "学校": school,
-            "省市": province,
-            "专业": "",
-            "最低分": "",
-            "最高分": "",
-            "科类": "",
-            "年份": ""
-          };
-          
-          let foundData = false;
-          
-          // Log each cell for debugging
-          console.log(`Row cells (${cells.length}):`, cells.map(c => c.textContent.trim()).join(' | '));
-          
-          // Get all cell text contents for easier processing
-          const cellTexts = cells.map(cell => cell.textContent.trim());
-          
-          // Based on the page structure and the debug output, we know the order of columns:
-          // ["年份", "省份", "类别", "科类", "专业", "最高分", "最低分"]
-          if (cellTexts.length >= 7) {
-            result["年份"] = cellTexts[0] || year; // Use the year from the cell or parameter
-            result["类别"] = cellTexts[2];
-            result["科类"] = cellTexts[3];
-            result["专业"] = cellTexts[4];
-            result["最高分"] = cellTexts[5];
-            result["最低分"] = cellTexts[6];
-            foundData = true;
-          } else if (cellTexts.length >= 3) {
-            // Fallback for tables with fewer columns
-            // The first column might be the major name
-            if (cellTexts[0]) {
-              result["专业"] = cellTexts[0];
-              foundData = true;
-            }
-            
-            // Try to identify score columns by looking for numeric values
-            let scoreFound = false;
-            cellTexts.forEach((text, idx) => {
-              // If it looks like a score (numeric, possibly with decimals)
-              if (/^\d+(\.\d+)?$/.test(text)) {
-                if (!scoreFound) {
-                  result["最低分"] = text;
-                  scoreFound = true;
-                  foundData = true;
-                } else {
-                  result["最高分"] = text;
-                  foundData = true;
-                }
-              }
-              
-              // If it looks like a year (4 digits starting with 2)
-              if (/^2\d{3}$/.test(text)) {
-                result["年份"] = text;
-              }
-            });
-          }
-          
-          // Additional safeguards: Make sure we have year data
-          if (!result["年份"]) {
-            // Use the year parameter passed in
-            result["年份"] = year;
-          }
-          
-          // Make sure we have major data
-          if (!result["专业"]) {
-            // Use a generic name if we can't determine the major
-            result["专业"] = `未命名专业-${cells[0]?.textContent.trim() || "数据" + Math.floor(Math.random() * 1000)}`;
-            foundData = true;
-          }
-          
-          // More lenient condition: add rows that have any useful data
-          if (foundData) {
-            results.push(result);
-          }
+        // Captured responses are not covered by the table check: their records must show the year too
+        // (the site writes it as 2024 or 2024年)
+        const yearOf = record => String(record['年份'] || '').trim().replace(/\s*年$/, '');
+        const matching = extracted.filter(record => yearOf(record) === year).map(record => ({ ...record, '年份': year }));
+        const otherYears = [...new Set(extracted.filter(record => yearOf(record) !== year).map(yearOf))];
+        if (otherYears.length > 0 && matching.length === 0) {
+          throw new Error(`Table shows year ${otherYears.join(', ')} instead of ${year}`);
+        }
+        if (otherYears.length > 0) {
+          console.log(`Dropped ${extracted.length - matching.length} rows of year ${otherYears.join(', ')}`);
+        }
+        results = matching;
+        rejected.forEach(rejects.rejecter(combination));
+      } catch (error) {
+        console.error(`Attempt ${attempt}/${MAX_ATTEMPTS} for province ${province}, year ${year} failed:`, error.message);
+        if (attempt < MAX_ATTEMPTS) {
+          await sleep(RETRY_DELAY * attempt);
+        } else {
+          failures.push(await failure(error, combination));
         }
       }
-      
-      return results;
-    }, "西安电子科技大学", province, year);
+    }
+    
+    if (results === null) {
+      provinceComplete = false;
+      continue;
+    }
     
-    console.log(`Extracted ${tableData.length} records from tables`);
-    return tableData;
+    // A year the selector offers has rows; an empty one goes to the failure ledger, not the checkpoint
+    if (results.length === 0) {
+      console.log(`No data extracted for province ${province}, year ${year}`);
+      provinceComplete = false;
+      failures.push(await failure(new Error(`No rows extracted for province ${province}, year ${year}`), combination));
+      continue;
+    }
     
-  } catch (error) {
-    console.error(`Error extracting data for province ${province}:`, error);
-    return [];
+    checkpoint.markCombination(combination, results);
+    console.log(`Extracted ${results.length} records for province ${province}, year ${year}`);
+    provinceResults.push(...results);
+    
+    // Save province+year data
+    saveToFile(results, `${OUTPUT_FILE}.${province}.${year}`, outDir);
   }
+  
+  return { results: provinceResults, complete: provinceComplete, failures };
 }
 
-// Helper function to save data to a file
-function saveToFile(data, filename) {
-  // Create directory if it doesn't exist
-  const dir = './output';
-  if (!fs.existsSync(dir)){
-    fs.mkdirSync(dir);
+/**
+ * Runs in the page: find the year selector, a select of years or a row of
+ * elements (links, buttons, list items) that are all years, outside the
+ * score tables; other year-like texts on the page (a footer's © 2024, a
+ * news date) are not options
+ * @param {string|null} year - Year to select, null to only read the options
+ * @returns {{years: string[], selected: boolean}} - The selector's years and whether `year` was selected
+ */
+function useYearSelector(year) {
+  const yearOf = text => {
+    const match = text.trim().match(/^((?:19|20)\d{2})\s*年?$/);
+    return match ? match[1] : null;
+  };
+
+  const select = Array.from(document.querySelectorAll('select'))
+    .find(el => Array.from(el.options).some(option => yearOf(option.textContent)));
+  if (select) {
+    const options = Array.from(select.options).filter(option => yearOf(option.textContent));
+    const option = options.find(opt => yearOf(opt.textContent) === year || opt.value === year);
+    if (option) {
+      select.value = option.value;
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+    return { years: options.map(opt => yearOf(opt.textContent)), selected: !!option };
   }
 
-  // Format each record as a JSON line
-  const jsonLines = data.map(item => JSON.stringify(item)).join('\n');
+  const row = Array.from(document.querySelectorAll('body *'))
+    .find(el => !el.closest('table') && el.children.length >= 2 &&
+      Array.from(el.children).every(child => yearOf(child.textContent)));
+  if (!row) return { years: [], selected: false };
+  const items = Array.from(row.children);
+  const item = items.find(child => yearOf(child.textContent) === year);
+  if (item) {
+    // Click the innermost element (the link inside an <li>); the click bubbles up to the item
+    let target = item;
+    while (target.children.length === 1) target = target.children[0];
+    target.click();
+  }
+  return { years: items.map(child => yearOf(child.textContent)), selected: !!item };
+}
+
+/**
+ * Read the years offered by the page's year selector, newest first
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @returns {Promise<string[]>} - Years such as `2024`
+ */
+async function discoverYears(page) {
+  const { years } = await page.evaluate(useYearSelector, null);
+  return [...new Set(years)].sort((a, b) => b.localeCompare(a));
+}
+
+/**
+ * Select a year in the page's year selector
+ * @param {import('puppeteer').Page} page - Puppeteer page
+ * @param {string} year - Year to select
+ * @returns {Promise<boolean>} - True when an option for exactly that year was selected
+ */
+async function selectYear(page, year) {
+  const { selected } = await page.evaluate(useYearSelector, year);
+  return selected;
+}
+
+// Extract the selected year: the captured JSON in capture mode, the table otherwise
+async function extractYear(page, province, year, capture, reject) {
+  let results = [];
+  if (capture) {
+    results = mapResponseRows(await capture.take(), RESPONSE_FIELDS, {
+      "学校": "西安电子科技大学",
+      "省市": province,
+      "专业": "",
+      "最低分": "",
+      "最高分": "",
+      "科类": "",
+      "年份": year
+    });
+    if (results.length === 0) {
+      console.log('No usable response captured, falling back to DOM extraction');
+    }
+  }
+  if (results.length === 0) {
+    results = await extractDataFromPage(page, province, year, reject);
+  }
+  return results;
+}
+
+/**
+ * Read the score tables of the selected year
+ *
+ * Rows are mapped by the site's column order; rows that do not fit it are
+ * handed to `reject` instead of being guessed into records.
+ * @param {import('puppeteer').Page} page - Page showing the year
+ * @param {string} province - Selected province
+ * @param {string} year - Selected year
+ * @param {Function} [reject] - `({ reason, headers, cells })` receives rows that cannot be extracted (see ../common/rejects.js)
+ * @returns {Promise<Array>} - Records
+ * @throws {Error} When no score table appears
+ */
+async function extractDataFromPage(page, province, year, reject = () => {}) {
+  console.log(`Extracting data for province ${province}...`);
   
-  // Also save a pretty version for easier inspection
-  fs.writeFileSync(`${dir}/${filename}.pretty`, JSON.stringify(data, null, 2), 'utf8');
+  // A reload would drop the selection and show the site's default table under this
+  // province and year; fail instead, so the caller selects the year again
+  try {
+    await page.waitForSelector(SCORES_TABLE, { timeout: 30000 });
+  } catch (error) {
+    throw new Error(`No score table for province ${province}, year ${year} (${error.message})`);
+  }
   
-  // Write to file
-  fs.writeFileSync(`${dir}/${filename}`, jsonLines, 'utf8');
+  const tables = await page.evaluate((selector) => {
+    return Array.from(document.querySelectorAll(selector)).map(table => {
+      // Get table headers: the thead, or the first row of a table without one
+      const headerCells = table.querySelectorAll('thead th');
+      const headerRow = headerCells.length > 0 ? null : table.rows[0];
+      const headers = Array.from(headerCells.length > 0 ? headerCells : (headerRow ? headerRow.cells : []))
+        .map(th => th.textContent.trim());
+      const rows = Array.from(table.rows)
+        .filter(row => row !== headerRow && !row.closest('thead'))
+        .map(row => Array.from(row.querySelectorAll('td')).map(cell => cell.textContent.trim()))
+        .filter(cells => cells.length > 0);
+      return { headers, rows };
+    });
+  }, SCORES_TABLE);
+  console.log(`Found ${tables.length} tables on the page`);
+  
+  // Rows that cannot be mapped are counted before they reach the caller's reject
+  let rejected = 0;
+  const countReject = row => {
+    rejected++;
+    reject(row);
+  };
+  
+  const results = [];
+  for (const table of tables) {
+    console.log('Table headers:', table.headers);
+    // Small provinces may have a single row; only a table without data rows is skipped
+    if (table.rows.length === 0) {
+      console.log('Table has no data rows, skipping');
+      continue;
+    }
+    // Column order and header texts are in site_config.js
+    results.push(...mapTable('scores', table, {
+      "学校": siteConfig.school,
+      "省市": province,
+      "年份": year
+    }, countReject));
+  }
+  
+  console.log(`Extracted ${results.length} records from tables, rejected ${rejected} rows`);
+  return results;
 }
 
-// Run the scraper
-scrapeAdmissionScores()
-  .then(() => {
-    console.log('Scraping completed successfully');
-  })
-  .catch(error => {
-    console.error('Scraping failed:', error);
-  });
+/**
+ * Check XIDIAN's landing page for selector drift (see ../common/canary.js)
+ * @param {Object} [options] - `headless`, `traffic`, `outDir`
+ * @returns {Promise<Object>} - `{ school, ok, lines }`
+ */
+async function check(options = {}) {
+  return runCanary(require('puppeteer'), siteConfig, options);
+}
+
+// Run the scraper (same flags as `gaokao scrape xidian`)
+if (require.main === module) {
+  scrapeAdmissionScores(parseRunArgs(process.argv.slice(2)))
+    .then(() => {
+      console.log('Scraping completed successfully');
+    })
+    .catch(error => {
+      console.error('Scraping failed:', error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  scrape: scrapeAdmissionScores,
+  check,
+  extractDataFromPage
+};
@@ -0,0 +1,56 @@
+/**
+ * XIDIAN site config
+ */
+
+module.exports = {
+  school: '西安电子科技大学',
+  // Historical scores page (a hash-routed SPA)
+  targetUrl: 'https://zsxc.xidian.edu.cn/auth/zsdata/lqxx/#/lnfs',
+  outputFile: 'xidian_admission_scores.json',
+  // Upper bound for the page to settle after selecting a province or year
+  waitTimeout: 15000,
+  // Minimum gap between two selections on the site, shared by all workers (--concurrency)
+  requestInterval: 1000,
+  // JSON keys the #/lnfs API may use for each record field (capture mode, --capture)
+  responseFields: {
+    '年份': ['nf', 'year', '年份'],
+    '类别': ['lb', 'zslb', 'type', '类别'],
+    '科类': ['kl', 'klmc', '科类'],
+    '专业': ['zymc', 'zy', 'major', '专业'],
+    '最高分': ['zgf', 'maxScore', '最高分'],
+    '最低分': ['zdf', 'minScore', '最低分']
+  },
+  // Score tables, mapped by ../common/table_mapping.js: record field -> header
+  // texts the site uses for it; the site's column order is the fallback for
+  // tables without a usable header row
+  tables: {
+    scores: {
+      selector: 'table',
+      label: 'Score table',
+      columns: {
+        '年份': ['年份'],
+        '类别': ['类别'],
+        '科类': ['科类'],
+        '专业': ['专业'],
+        '最高分': ['最高分'],
+        '最低分': ['最低分']
+      },
+      // 省市 is the selected province
+      ignore: ['省份', '省市'],
+      positions: ['年份', null, '类别', '科类', '专业', '最高分', '最低分'],
+      defaults: { '学校': '', '省市': '', '专业': '', '最低分': '', '最高分': '', '科类': '', '年份': '', '类别': '' },
+      minCells: 7,
+      required: ['专业']
+    }
+  },
+  // Selector drift canary (gaokao check xidian, see ../common/canary.js): a
+  // province is selected by its name as on a real run, then the table's
+  // columns are read by position
+  canary: {
+    links: [{ selector: 'a, button', text: '北京' }],
+    tables: {
+      table: { headers: ['年份', '省份', '类别', '科类', '专业', '最高分', '最低分'], positional: true }
+    }
+  },
+  launchArgs: ['--no-sandbox', '--disable-web-security', '--disable-features=IsolateOrigins,site-per-process']
+};